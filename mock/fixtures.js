@@ -0,0 +1,610 @@
+/**
+ * Generated FACEIT Data API fixtures for the mock server.
+ *
+ * Builds a small, deterministic CS2 world (teams, players, league and pug
+ * matches, hubs, a league and championships) and exposes it as the raw
+ * payloads the FACEIT Data API v4 returns. Same seed, same world, every run.
+ */
+
+import { DEFAULT_SEASONS, GAME_ID } from '../src/teamReport.js';
+
+// The app's built-in season calendar, oldest first
+const SEASONS = [...DEFAULT_SEASONS].reverse();
+
+const MAP_POOL = ['de_ancient', 'de_anubis', 'de_dust2', 'de_inferno', 'de_mirage', 'de_nuke', 'de_train'];
+
+const TEAM_CONFIGS = [
+  { name: 'Copper Owls', tag: 'OWLS', country: 'gb', favorite: 'de_mirage', hated: 'de_nuke' },
+  { name: 'Glass Harbor', tag: 'GLASS', country: 'se', favorite: 'de_nuke', hated: 'de_dust2' },
+  { name: 'Northbound', tag: 'NRTH', country: 'no', favorite: 'de_ancient', hated: 'de_train' },
+  { name: 'Atlas Mob', tag: 'ATLS', country: 'de', favorite: 'de_inferno', hated: 'de_anubis' },
+];
+
+const NICKNAMES = [
+  'brisk', 'falconer', 'Tarn', 'ledger', 'moth', 'quartz',
+  'sunder', 'Ivo', 'kelp', 'nyx', 'parlay', 'wren',
+  'halcyon', 'Dusk', 'r1ft', 'saltz', 'ember', 'oakley',
+  'Juno', 'crane', 'm4ple', 'vantage', 'sprocket', 'Lark',
+];
+
+const PUG_NICKNAMES = ['randomfragger', 'xXsilverXx', 'smurf_alert', 'baiter', 'lurkmaster', 'eco_king', 'awp_or_afk', 'nadeboi'];
+
+// Mulberry32 - tiny deterministic PRNG
+const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const toSeconds = (date) => Math.floor(Date.parse(`${date}T00:00:00Z`) / 1000);
+
+const mapLabel = (map) => {
+  const name = map.replace(/^de_/, '');
+  return name === 'dust2' ? 'Dust2' : name.charAt(0).toUpperCase() + name.slice(1);
+};
+
+/**
+ * Build the mock world. Returns lookup tables of raw FACEIT payloads plus
+ * helpers for the endpoints that need query handling (history, search, paging).
+ */
+export function createMockWorld(seed = 20250106) {
+  const random = createSeededRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const uuid = () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(random() * 16);
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+  });
+
+  const players = new Map();     // player_id -> { profile, matches: [] }
+  const teams = new Map();       // team_id -> { details, config, matches: [] }
+  const matches = new Map();     // match_id -> { details, stats, historyItem }
+
+  const createPlayer = (nickname, country, skill) => {
+    const id = uuid();
+    const elo = 900 + skill * 180 + Math.floor(random() * 150);
+    players.set(id, {
+      profile: {
+        player_id: id,
+        nickname,
+        avatar: '',
+        country,
+        games: { [GAME_ID]: { region: 'EU', game_player_id: `7656119${Math.floor(random() * 1e10)}`, skill_level: skill, faceit_elo: elo } },
+        faceit_url: `https://www.faceit.com/{lang}/players/${nickname}`,
+      },
+      matches: [],
+    });
+    return id;
+  };
+
+  // Teams and rosters - each team has five current members and one former player
+  TEAM_CONFIGS.forEach((config, teamIdx) => {
+    const teamId = uuid();
+    const names = NICKNAMES.slice(teamIdx * 6, teamIdx * 6 + 6);
+    const memberIds = names.map(name => createPlayer(name, config.country, 6 + Math.floor(random() * 5)));
+    const currentIds = memberIds.slice(0, 5);
+
+    teams.set(teamId, {
+      config,
+      currentIds,
+      formerId: memberIds[5],
+      matches: [],
+      details: {
+        team_id: teamId,
+        nickname: config.tag,
+        name: config.name,
+        avatar: '',
+        cover_image: '',
+        game: GAME_ID,
+        leader: currentIds[0],
+        members: currentIds.map(id => {
+          const { profile } = players.get(id);
+          return {
+            user_id: id,
+            nickname: profile.nickname,
+            avatar: '',
+            country: profile.country,
+            skill_level: profile.games[GAME_ID].skill_level,
+            faceit_url: profile.faceit_url,
+          };
+        }),
+        faceit_url: `https://www.faceit.com/{lang}/teams/${teamId}`,
+      },
+    });
+  });
+
+  const pugPlayerIds = PUG_NICKNAMES.map(name => createPlayer(name, 'eu', 3 + Math.floor(random() * 6)));
+
+  const buildPlayerStats = (playerIds, won) => playerIds.map(id => {
+    const kills = 8 + Math.floor(random() * 22);
+    const deaths = 10 + Math.floor(random() * 14);
+    return {
+      player_id: id,
+      nickname: players.get(id).profile.nickname,
+      player_stats: {
+        Kills: String(kills),
+        Deaths: String(deaths),
+        Assists: String(Math.floor(random() * 8)),
+        'K/D Ratio': (kills / deaths).toFixed(2),
+        'K/R Ratio': (kills / 22).toFixed(2),
+        Headshots: String(Math.floor(kills * (0.3 + random() * 0.3))),
+        'Headshots %': String(30 + Math.floor(random() * 30)),
+        MVPs: String(Math.floor(random() * 5)),
+        Result: won ? '1' : '0',
+      },
+    };
+  });
+
+  const scoreMap = (winChance) => {
+    const won = random() < winChance;
+    const overtimes = random() < 0.12 ? 1 + Math.floor(random() * 2) : 0;
+    const winner = overtimes > 0 ? 13 + overtimes * 3 : 13;
+    const loser = overtimes > 0 ? winner - 4 + Math.floor(random() * 3) : Math.floor(random() * 12);
+    return won ? [winner, loser] : [loser, winner];
+  };
+
+  /**
+   * Register a match. `sides` is [{ id, name, playerIds, isTeam }] x2.
+   * `maps` lists the maps played in order; `voting` is the raw voting payload.
+   */
+  const addMatch = ({ sides, maps, voting, startedAt, competition, bestOf, status = 'FINISHED', hasStats = true }) => {
+    const matchId = `1-${uuid()}`;
+    const factionKeys = ['faction1', 'faction2'];
+    const finishedAt = startedAt + maps.length * 45 * 60;
+
+    const rounds = [];
+    const seriesScore = [0, 0];
+    maps.forEach((map, idx) => {
+      const [a, b] = scoreMap(0.5);
+      const winnerIdx = a > b ? 0 : 1;
+      seriesScore[winnerIdx]++;
+      rounds.push({
+        best_of: String(bestOf),
+        competition_id: competition.id,
+        game_id: GAME_ID,
+        game_mode: '5v5',
+        match_id: matchId,
+        match_round: String(idx + 1),
+        played: '1',
+        round_stats: {
+          Map: map,
+          Rounds: String(a + b),
+          Score: `${a} / ${b}`,
+          Winner: sides[winnerIdx].id,
+          Region: 'EU',
+        },
+        teams: sides.map((side, sideIdx) => ({
+          team_id: side.id,
+          premade: side.isTeam,
+          team_stats: {
+            Team: side.name,
+            'Final Score': String(sideIdx === 0 ? a : b),
+            'Team Win': winnerIdx === sideIdx ? '1' : '0',
+            'Team Headshots': String(20 + Math.floor(random() * 30)),
+          },
+          players: buildPlayerStats(side.playerIds, winnerIdx === sideIdx),
+        })),
+      });
+    });
+
+    const winner = seriesScore[0] > seriesScore[1] ? 'faction1' : 'faction2';
+    const score = { faction1: seriesScore[0], faction2: seriesScore[1] };
+
+    const factions = Object.fromEntries(sides.map((side, idx) => [factionKeys[idx], {
+      faction_id: side.id,
+      leader: side.playerIds[0],
+      avatar: '',
+      name: side.name,
+      type: side.isTeam ? '' : 'teams',
+      roster: side.playerIds.map(id => ({
+        player_id: id,
+        nickname: players.get(id).profile.nickname,
+        game_skill_level: players.get(id).profile.games[GAME_ID].skill_level,
+      })),
+    }]));
+
+    const isFinished = status === 'FINISHED';
+    const details = {
+      match_id: matchId,
+      version: 1,
+      game: GAME_ID,
+      region: 'EU',
+      competition_id: competition.id,
+      competition_type: competition.type,
+      competition_name: competition.name,
+      organizer_id: 'faceit',
+      teams: factions,
+      voting,
+      calculate_elo: competition.type === 'matchmaking',
+      configured_at: startedAt - 600,
+      started_at: startedAt,
+      ...(isFinished ? { finished_at: finishedAt } : {}),
+      best_of: bestOf,
+      status,
+      ...(isFinished ? { results: { winner, score } } : {}),
+      faceit_url: `https://www.faceit.com/{lang}/cs2/room/${matchId}`,
+    };
+
+    const historyItem = {
+      match_id: matchId,
+      game_id: GAME_ID,
+      region: 'EU',
+      match_type: '',
+      game_mode: '5v5',
+      max_players: 10,
+      teams_size: 5,
+      teams: Object.fromEntries(sides.map((side, idx) => [factionKeys[idx], {
+        team_id: side.id,
+        nickname: side.name,
+        avatar: '',
+        type: '',
+        players: side.playerIds.map(id => ({
+          player_id: id,
+          nickname: players.get(id).profile.nickname,
+          skill_level: players.get(id).profile.games[GAME_ID].skill_level,
+        })),
+      }])),
+      playing_players: sides.flatMap(side => side.playerIds),
+      competition_id: competition.id,
+      competition_name: competition.name,
+      competition_type: competition.type,
+      organizer_id: 'faceit',
+      status: status.toLowerCase(),
+      started_at: startedAt,
+      finished_at: isFinished ? finishedAt : 0,
+      results: isFinished ? { winner, score } : undefined,
+      faceit_url: details.faceit_url,
+    };
+
+    matches.set(matchId, {
+      details,
+      // Matches without stats answer 404, like FACEIT does for some old or cancelled rooms
+      stats: isFinished && hasStats ? { rounds } : null,
+      historyItem,
+      rounds,
+    });
+
+    sides.forEach(side => {
+      side.playerIds.forEach(id => players.get(id).matches.push(matchId));
+      if (side.isTeam) teams.get(side.id).matches.push(matchId);
+    });
+
+    return matchId;
+  };
+
+  // Map veto for a team match. Alternates between the two voting payload shapes
+  // we've seen: picks only (what FACEIT usually returns) and a detailed
+  // pick/drop list attributed to teams.
+  const buildVeto = (teamA, teamB, bestOf, detailed) => {
+    const remaining = [...MAP_POOL];
+    const steps = bestOf === 3
+      ? [['drop', teamA], ['drop', teamB], ['pick', teamA], ['pick', teamB], ['drop', teamA], ['drop', teamB]]
+      : [['drop', teamA], ['drop', teamB], ['drop', teamA], ['drop', teamB], ['drop', teamA], ['drop', teamB]];
+
+    const actions = steps.map(([type, team]) => {
+      let map = type === 'drop' ? team.config.hated : team.config.favorite;
+      if (!remaining.includes(map) || random() < 0.35) map = pick(remaining);
+      remaining.splice(remaining.indexOf(map), 1);
+      return { type, map, team };
+    });
+    const decider = remaining[0];
+    const played = [...actions.filter(a => a.type === 'pick').map(a => a.map), decider];
+
+    const entities = MAP_POOL.map(map => ({
+      class_name: map,
+      game_map_id: map,
+      guid: map,
+      image_lg: '',
+      image_sm: '',
+      name: mapLabel(map),
+    }));
+
+    const voting = detailed
+      ? {
+        voted_entity_types: ['map'],
+        map: {
+          entities,
+          pick: [
+            ...actions.filter(a => a.type === 'pick').map(a => ({ map: a.map, team_id: a.team.details.team_id })),
+            { map: decider },
+          ],
+          drop: actions.filter(a => a.type === 'drop').map(a => ({ map: a.map, team_id: a.team.details.team_id })),
+        },
+      }
+      : { voted_entity_types: ['map'], map: { entities, pick: bestOf === 3 ? played : [decider] } };
+
+    return { voting, maps: bestOf === 3 ? played : [decider] };
+  };
+
+  const teamList = [...teams.values()];
+  const now = Math.floor(Date.now() / 1000);
+
+  // League matches: every pair meets once per season, the last pairing as a BO3
+  SEASONS.forEach((season, seasonIdx) => {
+    const start = toSeconds(season.start);
+    const end = Math.min(toSeconds(season.end), now - 86400);
+    if (end <= start) return;
+
+    const competition = {
+      id: `mock-championship-${season.id.toLowerCase()}`,
+      name: `ESEA ${season.id} Main - Regular Season`,
+      type: 'championship',
+    };
+
+    let slot = 0;
+    for (let i = 0; i < teamList.length; i++) {
+      for (let j = i + 1; j < teamList.length; j++) {
+        const teamA = teamList[i];
+        const teamB = teamList[j];
+        const bestOf = slot === 5 ? 3 : 1;
+        const { voting, maps } = buildVeto(teamA, teamB, bestOf, (slot + seasonIdx) % 2 === 0);
+        const rosterFor = (team) => (seasonIdx < 2
+          ? [...team.currentIds.slice(0, 4), team.formerId]
+          : team.currentIds);
+
+        addMatch({
+          sides: [teamA, teamB].map(team => ({
+            id: team.details.team_id,
+            name: team.details.name,
+            playerIds: rosterFor(team),
+            isTeam: true,
+          })),
+          maps: bestOf === 3 ? maps.slice(0, 2 + Math.floor(random() * 2)) : maps,
+          voting,
+          startedAt: start + Math.floor(((end - start) * (slot + 0.5)) / 7),
+          competition,
+          bestOf,
+          hasStats: random() > 0.05,
+        });
+        slot++;
+      }
+    }
+  });
+
+  // One cup match that isn't named after a season, and one match still live
+  addMatch({
+    sides: teamList.slice(0, 2).map(team => ({ id: team.details.team_id, name: team.details.name, playerIds: team.currentIds, isTeam: true })),
+    maps: ['de_mirage'],
+    voting: buildVeto(teamList[0], teamList[1], 1, false).voting,
+    startedAt: toSeconds('2026-02-14') + 18 * 3600,
+    competition: { id: 'mock-cup-weekly', name: 'FACEIT Main Weekly Cup #212', type: 'championship' },
+    bestOf: 1,
+  });
+  addMatch({
+    sides: teamList.slice(2, 4).map(team => ({ id: team.details.team_id, name: team.details.name, playerIds: team.currentIds, isTeam: true })),
+    maps: ['de_nuke'],
+    voting: buildVeto(teamList[2], teamList[3], 1, true).voting,
+    startedAt: now - 1800,
+    competition: { id: 'mock-cup-weekly', name: 'FACEIT Main Weekly Cup #213', type: 'championship' },
+    bestOf: 1,
+    status: 'ONGOING',
+  });
+
+  // Matchmaking pugs, so history has noise the app must filter out
+  const span = [toSeconds(SEASONS[0].start), now - 3600];
+  teamList.forEach(team => {
+    team.currentIds.forEach(playerId => {
+      const pugCount = 15 + Math.floor(random() * 40);
+      for (let i = 0; i < pugCount; i++) {
+        const mates = [playerId, ...pugPlayerIds.filter(() => random() < 0.5)].slice(0, 5);
+        while (mates.length < 5) mates.push(pick(pugPlayerIds.filter(id => !mates.includes(id))));
+        const enemies = pugPlayerIds.filter(id => !mates.includes(id)).slice(0, 5);
+        const nickname = players.get(playerId).profile.nickname;
+
+        addMatch({
+          sides: [
+            { id: uuid(), name: `team_${nickname}`, playerIds: mates, isTeam: false },
+            { id: uuid(), name: `team_${players.get(enemies[0]).profile.nickname}`, playerIds: enemies, isTeam: false },
+          ],
+          maps: [pick(MAP_POOL)],
+          voting: { voted_entity_types: ['map', 'location'], map: { pick: [pick(MAP_POOL)] } },
+          startedAt: span[0] + Math.floor(random() * (span[1] - span[0])),
+          competition: { id: 'f4148ddd-bce8-41b8-9131-ee83afcdd6dd', name: '5v5 RANKED', type: 'matchmaking' },
+          bestOf: 1,
+        });
+      }
+    });
+  });
+
+  // Lifetime stats derived from the generated matches
+  const lifetimeFromRounds = (rounds, isOurs) => {
+    const byMap = {};
+    rounds.forEach(round => {
+      const map = round.round_stats.Map;
+      const entry = byMap[map] || (byMap[map] = { matches: 0, wins: 0, rounds: 0 });
+      const team = round.teams.find(isOurs);
+      if (!team) return;
+      entry.matches++;
+      entry.rounds += parseInt(round.round_stats.Rounds);
+      if (team.team_stats['Team Win'] === '1') entry.wins++;
+    });
+    return byMap;
+  };
+
+  const teamStats = new Map();
+  teams.forEach((team, teamId) => {
+    const rounds = team.matches.flatMap(id => matches.get(id).stats?.rounds || []);
+    const byMap = lifetimeFromRounds(rounds, t => t.team_id === teamId);
+    const totals = Object.values(byMap).reduce((acc, m) => ({ matches: acc.matches + m.matches, wins: acc.wins + m.wins }), { matches: 0, wins: 0 });
+
+    teamStats.set(teamId, {
+      team_id: teamId,
+      game_id: GAME_ID,
+      lifetime: {
+        Matches: String(totals.matches),
+        Wins: String(totals.wins),
+        'Win Rate %': String(totals.matches ? Math.round((totals.wins / totals.matches) * 100) : 0),
+        'Current Win Streak': '0',
+        'Longest Win Streak': '4',
+      },
+      segments: Object.entries(byMap).map(([map, m]) => ({
+        label: mapLabel(map),
+        img_small: '',
+        img_regular: '',
+        type: 'Map',
+        mode: '5v5',
+        stats: {
+          Matches: String(m.matches),
+          Wins: String(m.wins),
+          'Win Rate %': String(m.matches ? Math.round((m.wins / m.matches) * 100) : 0),
+          Rounds: String(m.rounds),
+        },
+      })),
+    });
+  });
+
+  const playerStats = new Map();
+  players.forEach((player, playerId) => {
+    const byMap = {};
+    player.matches.forEach(matchId => {
+      (matches.get(matchId).stats?.rounds || []).forEach(round => {
+        const team = round.teams.find(t => t.players.some(p => p.player_id === playerId));
+        const stats = team?.players.find(p => p.player_id === playerId)?.player_stats;
+        if (!stats) return;
+        const entry = byMap[round.round_stats.Map] || (byMap[round.round_stats.Map] = { matches: 0, wins: 0, kills: 0, deaths: 0, hs: 0 });
+        entry.matches++;
+        entry.wins += stats.Result === '1' ? 1 : 0;
+        entry.kills += parseInt(stats.Kills);
+        entry.deaths += parseInt(stats.Deaths);
+        entry.hs += parseInt(stats['Headshots %']);
+      });
+    });
+    const all = Object.values(byMap).reduce((acc, m) => ({
+      matches: acc.matches + m.matches,
+      wins: acc.wins + m.wins,
+      kills: acc.kills + m.kills,
+      deaths: acc.deaths + m.deaths,
+      hs: acc.hs + m.hs,
+    }), { matches: 0, wins: 0, kills: 0, deaths: 0, hs: 0 });
+    const summarize = (m) => ({
+      Matches: String(m.matches),
+      Wins: String(m.wins),
+      'Win Rate %': String(m.matches ? Math.round((m.wins / m.matches) * 100) : 0),
+      'Average K/D Ratio': (m.deaths ? m.kills / m.deaths : 0).toFixed(2),
+      'Average Headshots %': String(m.matches ? Math.round(m.hs / m.matches) : 0),
+      'Average K/R Ratio': (m.matches ? m.kills / m.matches / 22 : 0).toFixed(2),
+    });
+
+    playerStats.set(playerId, {
+      player_id: playerId,
+      game_id: GAME_ID,
+      lifetime: summarize(all),
+      segments: Object.entries(byMap).map(([map, m]) => ({
+        label: mapLabel(map),
+        type: 'Map',
+        mode: '5v5',
+        stats: summarize(m),
+      })),
+    });
+  });
+
+  // League, leaderboards, hub and championships built around the same teams
+  const leagueId = uuid();
+  const leagueSeasonId = uuid();
+  const leaderboardIds = [uuid(), uuid()];
+  const league = {
+    league_id: leagueId,
+    name: 'Mock League',
+    game_id: GAME_ID,
+    seasons: [{ season_id: leagueSeasonId, season_number: 56, time_start: toSeconds('2026-01-05') * 1000, time_end: toSeconds('2026-04-12') * 1000 }],
+  };
+  const leagueSeason = {
+    season_id: leagueSeasonId,
+    season_number: 56,
+    divisions: [
+      { division_id: 'mock-division-main', name: 'Main', conferences: [{ conference_id: 'mock-conference-a', name: 'Conference A', leaderboards: [leaderboardIds[0]] }] },
+      { division_id: 'mock-division-open', name: 'Open', leaderboards: [leaderboardIds[1]] },
+    ],
+  };
+  const leaderboards = new Map(leaderboardIds.map((id, idx) => [id, {
+    leaderboard: { leaderboard_id: id, leaderboard_name: idx === 0 ? 'Main - Conference A' : 'Open', leaderboard_type: 'championship' },
+    items: teamList.slice(idx * 2, idx * 2 + 2 + (idx === 0 ? 2 : 0)).map((team, position) => ({
+      position: position + 1,
+      points: 30 - position * 6,
+      played: 10,
+      won: 10 - position * 2,
+      lost: position * 2,
+      draw: 0,
+      win_rate: (10 - position * 2) / 10,
+      current_streak: position === 0 ? 3 : -1,
+      team: { team_id: team.details.team_id, name: team.details.name, avatar: '' },
+    })),
+  }]));
+
+  const hubId = uuid();
+  const memberIds = [...players.keys()];
+  const hub = {
+    hub_id: hubId,
+    name: 'Mock Pracc Hub',
+    avatar: '',
+    game_id: GAME_ID,
+    region: 'EU',
+    organizer_name: 'Mock Org',
+    players_joined: memberIds.length,
+    faceit_url: `https://www.faceit.com/{lang}/hub/${hubId}/Mock%20Pracc%20Hub`,
+  };
+  const hubStats = {
+    game_id: GAME_ID,
+    players: memberIds.slice(0, 20).map(id => ({
+      player_id: id,
+      nickname: players.get(id).profile.nickname,
+      stats: playerStats.get(id).lifetime,
+    })),
+  };
+
+  const championships = [
+    { status: 'join', offsetDays: 3, slots: 32, subs: 12, prize: '$500' },
+    { status: 'started', offsetDays: 0, slots: 16, subs: 16, prize: null },
+    { status: 'finished', offsetDays: -7, slots: 64, subs: 58, prize: '$1,000' },
+  ].map((c, idx) => {
+    const id = uuid();
+    return {
+      championship_id: id,
+      name: `Mock Cup #${idx + 1}`,
+      game_id: GAME_ID,
+      region: 'EU',
+      status: c.status,
+      type: 'bracket',
+      championship_start: (now + c.offsetDays * 86400) * 1000,
+      subscription_end: (now + (c.offsetDays - 1) * 86400) * 1000,
+      slots: c.slots,
+      current_subscriptions: c.subs,
+      total_prizes: c.prize,
+      prizes: c.prize ? [{ rank_start: 1, rank_end: 1, faceit_points: 500 }] : [],
+      faceit_url: `https://www.faceit.com/{lang}/championship/${id}/Mock%20Cup`,
+    };
+  });
+  const championshipSubscriptions = teamList.map(team => ({
+    team: { team_id: team.details.team_id, name: team.details.name, avatar: '', type: 'premade' },
+    roster: team.currentIds,
+    status: 'checkedIn',
+  }));
+
+  return {
+    players,
+    teams,
+    matches,
+    teamStats,
+    playerStats,
+    league,
+    leagueSeason,
+    leaderboards,
+    hub,
+    hubStats,
+    championships,
+    championshipSubscriptions,
+
+    // Player history, newest first, filtered by `from`/`to` (unix seconds)
+    getPlayerHistory(playerId, { offset = 0, limit = 20, from, to } = {}) {
+      const items = players.get(playerId).matches
+        .map(id => matches.get(id).historyItem)
+        .filter(item => (!from || item.started_at >= from) && (!to || item.started_at <= to))
+        .sort((a, b) => b.started_at - a.started_at);
+      return { items: items.slice(offset, offset + limit), start: offset, end: offset + limit, from, to };
+    },
+  };
+}
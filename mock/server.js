@@ -0,0 +1,295 @@
+/**
+ * Local mock of the FACEIT Data API v4 for offline development.
+ *
+ * Serves generated fixtures (see fixtures.js) for every endpoint
+ * createFaceitAPI uses, plus recorded payloads from mock/recorded/ when
+ * present. Start it with `npm run mock:api` and run the app with
+ * `npm run dev:mock` to point the dev proxy here.
+ *
+ * Environment:
+ *   MOCK_PORT        port to listen on (default 4010)
+ *   MOCK_API_KEY     only accept this key; otherwise any key but "invalid" works
+ *   MOCK_RATE_LIMIT  requests per second per key before answering 429
+ *   MOCK_LATENCY     artificial delay per response, in ms
+ *   MOCK_RECORD      forward unrecorded requests to FACEIT and save the payloads
+ *
+ * Any request can force an error with an `X-Mock-Status: 429` header (or a
+ * `mock_status=429` query parameter), e.g. to exercise the retry logic. Send
+ * those to this port directly: the /api proxy passes neither through.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createMockWorld } from './fixtures.js';
+
+const FACEIT_API_BASE = 'https://open.faceit.com/data/v4';
+const RECORDED_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'recorded');
+
+// FACEIT's error envelope
+const ERROR_CODES = {
+  400: ['err_br0', 'Bad request'],
+  401: ['err_unauthorized', 'Unauthorized'],
+  403: ['err_f0', 'Forbidden'],
+  404: ['err_nf0', 'The resource was not found.'],
+  429: ['err_tmr0', 'Too many requests'],
+  500: ['err_is0', 'Internal server error'],
+  503: ['err_su0', 'Service unavailable'],
+};
+
+const errorResponse = (status, message) => {
+  const [code, defaultMessage] = ERROR_CODES[status] || ['err_unknown', 'Error'];
+  return {
+    status,
+    headers: status === 429 || status === 503 ? { 'Retry-After': '1' } : {},
+    body: { errors: [{ message: message || defaultMessage, code, http_status: status, parameters: [] }] },
+  };
+};
+
+const ok = (body) => ({ status: 200, headers: {}, body });
+
+const paginate = (items, query, defaultLimit = 20) => {
+  const offset = parseInt(query.get('offset')) || 0;
+  const limit = Math.min(parseInt(query.get('limit')) || defaultLimit, 100);
+  return { items: items.slice(offset, offset + limit), start: offset, end: offset + limit };
+};
+
+// Route table: [pattern, handler(params, query, world)]. Handlers return a
+// response, or undefined for an unknown id (answered with 404).
+const ROUTES = [
+  ['games', (params, query) => paginate([{ game_id: 'cs2', long_label: 'Counter-Strike 2', short_label: 'CS2' }], query)],
+
+  ['search/teams', (params, query, world) => {
+    const needle = (query.get('nickname') || '').toLowerCase();
+    const items = [...world.teams.values()]
+      .map(team => team.details)
+      .filter(team => team.name.toLowerCase().includes(needle) || team.nickname.toLowerCase().includes(needle))
+      .map(team => ({ team_id: team.team_id, name: team.name, nickname: team.nickname, avatar: team.avatar, game: team.game, verified: false, faceit_url: team.faceit_url }));
+    return paginate(items, query);
+  }],
+  ['search/players', (params, query, world) => {
+    const needle = (query.get('nickname') || '').toLowerCase();
+    const items = [...world.players.values()]
+      .map(player => player.profile)
+      .filter(player => player.nickname.toLowerCase().includes(needle))
+      .map(player => ({
+        player_id: player.player_id,
+        nickname: player.nickname,
+        avatar: player.avatar,
+        country: player.country,
+        games: [{ name: 'cs2', skill_level: String(player.games.cs2.skill_level) }],
+        verified: false,
+      }));
+    return paginate(items, query);
+  }],
+
+  ['teams/:id', ({ id }, query, world) => world.teams.get(id)?.details],
+  ['teams/:id/stats/:game', ({ id }, query, world) => world.teamStats.get(id)],
+
+  ['players/:id', ({ id }, query, world) => world.players.get(id)?.profile],
+  ['players/:id/stats/:game', ({ id }, query, world) => world.playerStats.get(id)],
+  ['players/:id/history', ({ id }, query, world) => {
+    if (!world.players.has(id)) return undefined;
+    return world.getPlayerHistory(id, {
+      offset: parseInt(query.get('offset')) || 0,
+      limit: Math.min(parseInt(query.get('limit')) || 20, 100),
+      from: parseInt(query.get('from')) || undefined,
+      to: parseInt(query.get('to')) || undefined,
+    });
+  }],
+
+  ['matches/:id', ({ id }, query, world) => world.matches.get(id)?.details],
+  ['matches/:id/stats', ({ id }, query, world) => world.matches.get(id)?.stats || undefined],
+
+  ['hubs/:id', ({ id }, query, world) => (id === world.hub.hub_id ? world.hub : undefined)],
+  ['hubs/:id/stats', ({ id }, query, world) => (id === world.hub.hub_id ? world.hubStats : undefined)],
+  ['hubs/:id/members', ({ id }, query, world) => {
+    if (id !== world.hub.hub_id) return undefined;
+    const members = [...world.players.values()].map(({ profile }) => ({
+      user_id: profile.player_id,
+      nickname: profile.nickname,
+      avatar: profile.avatar,
+      roles: ['default'],
+      faceit_url: profile.faceit_url,
+    }));
+    return paginate(members, query);
+  }],
+
+  ['leagues/:id', ({ id }, query, world) => (id === world.league.league_id ? world.league : undefined)],
+  ['leagues/:id/seasons/:seasonId', ({ id, seasonId }, query, world) => (
+    id === world.league.league_id && seasonId === world.leagueSeason.season_id ? world.leagueSeason : undefined
+  )],
+  ['leaderboards/:id', ({ id }, query, world) => {
+    const leaderboard = world.leaderboards.get(id);
+    return leaderboard && { leaderboard: leaderboard.leaderboard, ...paginate(leaderboard.items, query, 100) };
+  }],
+
+  ['championships', (params, query, world) => {
+    const type = query.get('type') || 'all';
+    const statuses = { upcoming: ['join'], ongoing: ['started'], past: ['finished'] }[type];
+    return paginate(world.championships.filter(c => !statuses || statuses.includes(c.status)), query);
+  }],
+  ['championships/:id', ({ id }, query, world) => world.championships.find(c => c.championship_id === id)],
+  ['championships/:id/subscriptions', ({ id }, query, world) => (
+    world.championships.some(c => c.championship_id === id) ? paginate(world.championshipSubscriptions, query) : undefined
+  )],
+].map(([pattern, handler]) => {
+  const keys = [];
+  const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (match, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  })}$`);
+  return { regex, keys, handler };
+});
+
+// Recorded payloads live at mock/recorded/<path>.json, e.g. matches/1-abc/stats.json.
+// Requests with query parameters (history pages, searches) are recorded as
+// <path>@<sorted query>.json, e.g. players/abc/history@game=cs2&limit=100&offset=100.json
+const recordedKey = (query) => {
+  const params = [...query].filter(([name]) => name !== 'mock_status').sort(([a], [b]) => a.localeCompare(b));
+  return params.length > 0 ? `@${new URLSearchParams(params)}` : '';
+};
+
+// Resolve a recorded file, refusing anything that would land outside RECORDED_DIR
+const recordedFile = (route, key = '') => {
+  const file = path.resolve(RECORDED_DIR, `${route}${key}.json`);
+  return file.startsWith(RECORDED_DIR + path.sep) ? file : null;
+};
+
+const readJson = (file) => {
+  try {
+    return file ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  } catch {
+    return null;
+  }
+};
+
+// An exact recording wins. A recording without a query answers the first
+// page only; later pages come back empty so paging stops instead of looping.
+const readRecorded = (route, query) => {
+  const exact = readJson(recordedFile(route, recordedKey(query)));
+  if (exact) return exact;
+
+  const bare = readJson(recordedFile(route));
+  const offset = parseInt(query.get('offset')) || 0;
+  if (bare && offset > 0 && Array.isArray(bare.items)) {
+    return { ...bare, items: [], start: offset, end: offset };
+  }
+  return bare;
+};
+
+const record = async (route, query, authorization) => {
+  const search = query.toString();
+  const response = await fetch(`${FACEIT_API_BASE}/${route}${search ? `?${search}` : ''}`, {
+    headers: { Accept: 'application/json', ...(authorization ? { Authorization: authorization } : {}) },
+  });
+  const body = await response.json().catch(() => null);
+  const file = recordedFile(route, recordedKey(query));
+  if (response.ok && body && file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(body, null, 2));
+    console.log(`recorded ${path.relative(RECORDED_DIR, file)}`);
+  }
+  return { status: response.status, headers: {}, body };
+};
+
+/**
+ * Create the request handler. Pure apart from the optional recording, so it can
+ * be mounted elsewhere (tests, middleware) as well as behind the server below.
+ * Returns { status, headers, body } for a { method, url, headers } request.
+ */
+export function createMockHandler({
+  world = createMockWorld(),
+  apiKey = null,
+  rateLimit = 0,
+  recordMode = false,
+} = {}) {
+  const requestLog = new Map(); // key -> timestamps in the last second
+
+  const isRateLimited = (key) => {
+    if (!rateLimit) return false;
+    const now = Date.now();
+    const recent = (requestLog.get(key) || []).filter(time => now - time < 1000);
+    recent.push(now);
+    requestLog.set(key, recent);
+    return recent.length > rateLimit;
+  };
+
+  return async ({ method, url, headers = {} }) => {
+    if (method !== 'GET') return errorResponse(400, 'Only GET is supported');
+
+    const { pathname, searchParams } = new URL(url, 'http://mock.local');
+    let route;
+    try {
+      route = decodeURIComponent(pathname).replace(/^\/(data\/v4\/)?/, '').replace(/\/$/, '');
+    } catch {
+      return errorResponse(400, 'Malformed path');
+    }
+    // Routes double as file paths for recordings, so no dot segments or backslashes
+    if (route.split('/').some(segment => segment === '.' || segment === '..') || route.includes('\\')) {
+      return errorResponse(400, 'Invalid path');
+    }
+
+    const forced = parseInt(headers['x-mock-status'] || searchParams.get('mock_status'));
+    if (forced >= 400) return errorResponse(forced);
+
+    const authorization = headers.authorization || '';
+    const key = authorization.replace(/^Bearer\s+/i, '').trim();
+    if (!key || key === 'invalid' || (apiKey && key !== apiKey)) return errorResponse(401);
+
+    if (isRateLimited(key)) return errorResponse(429);
+
+    const recorded = readRecorded(route, searchParams);
+    if (recorded) return ok(recorded);
+    if (recordMode) return record(route, searchParams, authorization);
+
+    for (const { regex, keys, handler } of ROUTES) {
+      const match = route.match(regex);
+      if (!match) continue;
+      const params = Object.fromEntries(keys.map((name, idx) => [name, match[idx + 1]]));
+      const body = handler(params, searchParams, world);
+      return body ? ok(body) : errorResponse(404);
+    }
+
+    return errorResponse(404, `No mock route for ${route}`);
+  };
+}
+
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  const port = parseInt(process.env.MOCK_PORT) || 4010;
+  const latency = parseInt(process.env.MOCK_LATENCY) || 0;
+  const world = createMockWorld();
+  const handle = createMockHandler({
+    world,
+    apiKey: process.env.MOCK_API_KEY || null,
+    rateLimit: parseInt(process.env.MOCK_RATE_LIMIT) || 0,
+    recordMode: Boolean(process.env.MOCK_RECORD),
+  });
+
+  const server = http.createServer(async (req, res) => {
+    let response;
+    try {
+      response = await handle({ method: req.method, url: req.url, headers: req.headers });
+    } catch (err) {
+      console.error('Mock error:', err);
+      response = errorResponse(500, err.message);
+    }
+
+    if (latency) await new Promise(resolve => setTimeout(resolve, latency));
+
+    console.log(`${req.method} ${req.url} -> ${response.status}`);
+    res.writeHead(response.status, { 'Content-Type': 'application/json', ...response.headers });
+    res.end(JSON.stringify(response.body));
+  });
+
+  server.listen(port, () => {
+    console.log(`Mock FACEIT API listening on http://localhost:${port}/data/v4`);
+    console.log('Teams:');
+    world.teams.forEach(({ details }) => console.log(`  ${details.name.padEnd(14)} ${details.team_id}`));
+    console.log(`League:  ${world.league.league_id} (season ${world.leagueSeason.season_id})`);
+    console.log(`Hub:     ${world.hub.hub_id}`);
+  });
+}
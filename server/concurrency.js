@@ -0,0 +1,29 @@
+/**
+ * Concurrency limiting for the endpoints that fan out to many upstream calls
+ * (batched matches, team reports).
+ */
+
+// Wrap async tasks so at most `limit` run at once; queued tasks start in order
+export const createLimiter = (limit) => {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve().then(task).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+// Run task(item) for every item with at most `limit` in flight, keeping order
+export const mapWithConcurrency = (items, limit, task) => {
+  const run = createLimiter(limit);
+  return Promise.all(items.map(item => run(() => task(item))));
+};
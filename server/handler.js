@@ -0,0 +1,190 @@
+/**
+ * The app's /api backend, shared by every environment: the Netlify function,
+ * the Vite dev and preview servers, and the standalone Node server.
+ *
+ *   /api/<FACEIT path>          FACEIT Data API proxy (allowlisted)
+ *   /api/batch/matches?ids=...  match details + stats for many matches
+ *   /api/team-report?id=...     finished team model
+ *   POST /api/webhooks/faceit   FACEIT webhook receiver (cache pre-warming)
+ *
+ * createApiHandler() returns a function from { method, path, query, headers, ip, body }
+ * to { statusCode, headers, body }; the adapters below translate to and from
+ * each platform.
+ */
+
+import {
+  CORS_HEADERS,
+  createFaceitProxy,
+  createMemoryCache,
+  DEFAULT_RATE_LIMIT,
+  jsonResponse,
+} from './proxy.js';
+import { handleMatchBatch } from './matches.js';
+import { handleTeamReport } from './report.js';
+import { handleFaceitWebhook } from './webhook.js';
+import { loadSeasonCalendar } from '../src/teamReport.js';
+
+const envInt = (env, name, fallback) => (env[name] === undefined || env[name] === '' ? fallback : parseInt(env[name]) || 0);
+
+/**
+ * Read the proxy configuration from environment variables:
+ *   FACEIT_API_BASE          upstream base URL (e.g. the local mock API)
+ *   FACEIT_API_KEY           server-side key for requests without one
+ *   PROXY_CACHE=memory       keep responses in memory
+ *   PROXY_CACHE_MAX_ENTRIES  size of that cache (default 500)
+ *   RATE_LIMIT_PER_IP        requests per window per client IP (default 1500)
+ *   RATE_LIMIT_PER_KEY       requests per window per personal key (default 3000)
+ *   RATE_LIMIT_WINDOW        window length in seconds (default 60)
+ *   FACEIT_WEBHOOK_SECRET    shared secret that enables the webhook receiver
+ *                            (together with a proxy cache and FACEIT_API_KEY)
+ *   TEAM_REPORT_BUDGET_MS    how long a team report may fetch before returning
+ *                            what it has (default 8000, under Netlify's 10s limit)
+ *   VITE_SEASON_CALENDAR     season calendar JSON, shared with the app; team
+ *                            reports requested without `from` cover its newest season
+ */
+export const loadConfig = (env = process.env) => ({
+  apiBase: env.FACEIT_API_BASE || 'https://open.faceit.com/data/v4',
+  serverApiKey: env.FACEIT_API_KEY || null,
+  cache: env.PROXY_CACHE === 'memory'
+    ? createMemoryCache(envInt(env, 'PROXY_CACHE_MAX_ENTRIES', 500) || 500)
+    : null,
+  rateLimit: {
+    perIp: envInt(env, 'RATE_LIMIT_PER_IP', DEFAULT_RATE_LIMIT.perIp),
+    perKey: envInt(env, 'RATE_LIMIT_PER_KEY', DEFAULT_RATE_LIMIT.perKey),
+    windowSeconds: envInt(env, 'RATE_LIMIT_WINDOW', DEFAULT_RATE_LIMIT.windowSeconds) || DEFAULT_RATE_LIMIT.windowSeconds,
+  },
+  webhookSecret: env.FACEIT_WEBHOOK_SECRET || null,
+  reportTimeBudgetMs: envInt(env, 'TEAM_REPORT_BUDGET_MS', 8000) || 8000,
+  seasons: loadSeasonCalendar(env.VITE_SEASON_CALENDAR),
+});
+
+export const createApiHandler = (config = loadConfig()) => {
+  const proxy = createFaceitProxy(config);
+  if (config.webhookSecret && !config.cache) {
+    console.warn('FACEIT_WEBHOOK_SECRET is set but PROXY_CACHE is not, so the webhook receiver is disabled');
+  }
+  if (config.webhookSecret && !config.serverApiKey) {
+    console.warn('FACEIT_WEBHOOK_SECRET is set but FACEIT_API_KEY is not, so the webhook receiver is disabled');
+  }
+
+  return async (request) => {
+    const route = request.path.replace(/^\/+/, '');
+
+    // Server-to-server, so it skips CORS and the per-client rate limits
+    if (route === 'webhooks/faceit') {
+      if (request.method !== 'POST') {
+        return jsonResponse(405, { error: 'Method not allowed' });
+      }
+      return handleFaceitWebhook(proxy, request, {
+        secret: config.webhookSecret,
+        cacheEnabled: Boolean(config.cache),
+        serverKeyEnabled: Boolean(config.serverApiKey),
+      });
+    }
+
+    if (request.method === 'OPTIONS') {
+      return { statusCode: 204, headers: CORS_HEADERS, body: '' };
+    }
+    // Only allow GET requests
+    if (request.method !== 'GET') {
+      return jsonResponse(405, { error: 'Method not allowed' });
+    }
+
+    if (route === 'batch/matches') {
+      return handleMatchBatch(proxy, request);
+    }
+    if (route === 'team-report') {
+      return handleTeamReport(proxy, request, {
+        timeBudgetMs: config.reportTimeBudgetMs,
+        seasons: config.seasons,
+      });
+    }
+
+    const limited = await proxy.checkRateLimit(request);
+    if (limited) {
+      return limited;
+    }
+
+    const search = request.query.toString();
+    return proxy.proxyRequest(`${route}${search ? `?${search}` : ''}`, request.headers);
+  };
+};
+
+const lowercaseKeys = (headers = {}) =>
+  Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+/**
+ * Netlify function adapter. Reached through the /api/* rewrite in
+ * netlify.toml, or directly as /.netlify/functions/api?path=<FACEIT path>.
+ */
+export const toNetlifyHandler = (apiHandler) => async (event) => {
+  const headers = lowercaseKeys(event.headers);
+  let path = (event.path || '').replace(/^\/(\.netlify\/functions\/)?api\/?/, '');
+  let query = new URLSearchParams(event.rawQuery ?? event.queryStringParameters ?? {});
+
+  if (!path && query.has('path')) {
+    const [legacyPath, legacySearch = ''] = query.get('path').split('?', 2);
+    path = legacyPath;
+    query = new URLSearchParams(legacySearch);
+  }
+
+  try {
+    return await apiHandler({
+      method: event.httpMethod,
+      path,
+      query,
+      headers,
+      ip: headers['x-nf-client-connection-ip'] || 'unknown',
+      body: event.body && event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body || '',
+    });
+  } catch (error) {
+    console.error('API handler error:', error);
+    return jsonResponse(500, { error: 'Internal server error', message: error.message });
+  }
+};
+
+// Webhook bodies are small; anything bigger is cut off and fails to parse
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') {
+    resolve('');
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+/**
+ * Node (req, res) adapter for http.createServer and connect-style middleware
+ * such as Vite's. Expects req.url relative to the /api mount point. Only trust
+ * X-Forwarded-For when running behind a reverse proxy that sets it.
+ */
+export const toNodeMiddleware = (apiHandler, { trustProxy = false } = {}) => async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const forwardedFor = trustProxy ? (req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+
+  let response;
+  try {
+    response = await apiHandler({
+      method: req.method,
+      path: url.pathname,
+      query: url.searchParams,
+      headers: req.headers,
+      ip: forwardedFor || req.socket.remoteAddress || 'unknown',
+      body: await readBody(req),
+    });
+  } catch (error) {
+    console.error('API handler error:', error);
+    response = jsonResponse(500, { error: 'Internal server error', message: error.message });
+  }
+
+  res.writeHead(response.statusCode, response.headers);
+  res.end(response.body);
+};
@@ -0,0 +1,85 @@
+/**
+ * Standalone server for self-hosting without Netlify: serves the built app
+ * from dist/ and the /api backend, behaving the same as the Netlify deployment.
+ *
+ *   npm run build && npm start
+ *
+ * Environment (plus the proxy settings documented in handler.js):
+ *   PORT         port to listen on (default 8080)
+ *   HOST         interface to bind (default 0.0.0.0)
+ *   STATIC_DIR   built app to serve (default dist)
+ *   TRUST_PROXY  set to 1 behind nginx or another proxy that sets X-Forwarded-For
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createApiHandler, toNodeMiddleware } from './handler.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STATIC_DIR = path.resolve(ROOT, process.env.STATIC_DIR || 'dist');
+const PORT = parseInt(process.env.PORT) || 8080;
+const HOST = process.env.HOST || '0.0.0.0';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+};
+
+const api = toNodeMiddleware(createApiHandler(), { trustProxy: process.env.TRUST_PROXY === '1' });
+
+// Serve a file from the build, falling back to index.html for client-side routes
+const serveStatic = (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let filePath;
+  try {
+    filePath = path.resolve(STATIC_DIR, `.${decodeURIComponent(pathname)}`);
+  } catch {
+    res.writeHead(400).end();
+    return;
+  }
+
+  // Never serve anything outside the build directory
+  if (filePath !== STATIC_DIR && !filePath.startsWith(STATIC_DIR + path.sep)) {
+    res.writeHead(403).end();
+    return;
+  }
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(STATIC_DIR, 'index.html');
+  }
+
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found - run `npm run build` first');
+      return;
+    }
+    // Vite fingerprints everything under assets/, so those can be cached forever
+    const immutable = filePath.startsWith(path.join(STATIC_DIR, 'assets'));
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': immutable ? 'public, max-age=31536000, immutable' : 'no-cache',
+    });
+    res.end(data);
+  });
+};
+
+const server = http.createServer((req, res) => {
+  if (req.url === '/api' || req.url.startsWith('/api/') || req.url.startsWith('/api?')) {
+    req.url = req.url.slice('/api'.length) || '/';
+    api(req, res);
+    return;
+  }
+  serveStatic(req, res);
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`FACEIT Compare listening on http://${HOST}:${PORT} (serving ${STATIC_DIR})`);
+});
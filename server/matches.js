@@ -0,0 +1,70 @@
+/**
+ * Batched match lookup: details and stats for many matches in one round trip.
+ *   GET /api/batch/matches?ids=1-abc,1-def
+ * Each upstream call goes through the proxy, so it gets the same allowlist,
+ * server key and caching. Failures are reported per item, and every match
+ * counts as two requests against the caller's rate limit.
+ */
+
+import { jsonResponse } from './proxy.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+const MAX_BATCH_SIZE = 25;
+const CONCURRENCY = 6;
+const MATCH_ID = /^[A-Za-z0-9-]{1,64}$/;
+
+export const handleMatchBatch = async (proxy, request) => {
+  const ids = [...new Set((request.query.get('ids') || '').split(',').filter(Boolean))];
+
+  if (ids.length === 0) {
+    return jsonResponse(400, { error: 'Missing ids parameter', code: 'missing_ids' });
+  }
+  if (ids.length > MAX_BATCH_SIZE) {
+    return jsonResponse(400, { error: `At most ${MAX_BATCH_SIZE} match ids per request`, code: 'batch_too_large' });
+  }
+  const invalid = ids.find(id => !MATCH_ID.test(id));
+  if (invalid) {
+    return jsonResponse(400, { error: `Invalid match id: ${invalid}`, code: 'invalid_id' });
+  }
+
+  const limited = await proxy.checkRateLimit(request, ids.length * 2);
+  if (limited) {
+    return limited;
+  }
+
+  // Only the credentials are forwarded; conditional headers would turn sub-requests into 304s
+  const headers = request.headers.authorization ? { authorization: request.headers.authorization } : {};
+
+  const fetchPath = async (path) => {
+    const response = await proxy.proxyRequest(path, headers);
+    let body = null;
+    try {
+      body = JSON.parse(response.body);
+    } catch {
+      // Leave body empty, the status says enough
+    }
+
+    if (response.statusCode === 200) {
+      return { data: body, error: null };
+    }
+    const message = body?.errors?.[0]?.message || body?.error || `Request failed (${response.statusCode})`;
+    return { data: null, error: { status: response.statusCode, message, endpoint: path } };
+  };
+
+  // Details and stats are separate tasks so both count against the concurrency limit
+  const tasks = ids.flatMap(id => [`matches/${id}`, `matches/${id}/stats`]);
+  const results = await mapWithConcurrency(tasks, CONCURRENCY, fetchPath);
+
+  const items = ids.map((id, idx) => {
+    const match = results[idx * 2];
+    const stats = results[idx * 2 + 1];
+    return {
+      match_id: id,
+      match: match.data,
+      stats: stats.data,
+      error: match.error || stats.error,
+    };
+  });
+
+  return jsonResponse(200, { items });
+};
@@ -0,0 +1,341 @@
+/**
+ * FACEIT Data API proxy core: endpoint allowlist, server-side key, response
+ * caching with ETags and per-client rate limiting. Framework agnostic; see
+ * handler.js for the Netlify, Vite and Node adapters.
+ */
+
+import { createHash } from 'node:crypto';
+
+// Query parameter validators, shared by the routes below
+const NUMBER = /^\d{1,12}$/;
+const PARAMS = {
+  offset: NUMBER,
+  limit: (value) => NUMBER.test(value) && Number(value) <= 100,
+  from: NUMBER,
+  to: NUMBER,
+  game: /^cs2$/,
+  nickname: (value) => value.length > 0 && value.length <= 64,
+  type: /^(all|upcoming|ongoing|past)$/,
+};
+
+// The FACEIT endpoints the app uses, with the query parameters each accepts.
+// Anything else is refused so the proxy can't be used as an open proxy.
+const ID = '[A-Za-z0-9-]{1,64}';
+const ALLOWED_ROUTES = [
+  ['games', ['offset', 'limit']],
+  ['search/teams', ['nickname', 'game', 'offset', 'limit']],
+  ['search/players', ['nickname', 'game', 'offset', 'limit']],
+  ['teams/:id', []],
+  ['teams/:id/stats/cs2', []],
+  ['players/:id', []],
+  ['players/:id/stats/cs2', []],
+  ['players/:id/history', ['game', 'offset', 'limit', 'from', 'to']],
+  ['matches/:id', []],
+  ['matches/:id/stats', []],
+  ['hubs/:id', []],
+  ['hubs/:id/stats', ['offset', 'limit']],
+  ['hubs/:id/members', ['offset', 'limit']],
+  ['leagues/:id', []],
+  ['leagues/:id/seasons/:id', []],
+  ['leaderboards/:id', ['offset', 'limit']],
+  ['championships', ['game', 'type', 'offset', 'limit']],
+  ['championships/:id', []],
+  ['championships/:id/subscriptions', ['offset', 'limit']],
+].map(([pattern, params]) => ({
+  pattern,
+  regex: new RegExp(`^${pattern.replace(/:id/g, ID)}$`),
+  params,
+}));
+
+/**
+ * Check a requested path against the allowlist.
+ * Returns { route, query } when allowed, or { statusCode, error, code } when not.
+ */
+const validatePath = (path) => {
+  const [route, search = ''] = path.split('?', 2);
+
+  // Traversal and encoding tricks never reach the route match
+  if (/\.\.|\/\/|\\|%|^\//.test(route)) {
+    return { statusCode: 400, error: 'Invalid path', code: 'invalid_path' };
+  }
+
+  const allowed = ALLOWED_ROUTES.find(({ regex }) => regex.test(route));
+  if (!allowed) {
+    return { statusCode: 403, error: 'Endpoint not allowed', code: 'endpoint_not_allowed' };
+  }
+
+  const query = new URLSearchParams(search);
+  for (const [name, value] of query) {
+    if (!allowed.params.includes(name)) {
+      return { statusCode: 400, error: `Unexpected query parameter: ${name}`, code: 'invalid_query' };
+    }
+    const validator = PARAMS[name];
+    const valid = typeof validator === 'function' ? validator(value) : validator.test(value);
+    if (!valid) {
+      return { statusCode: 400, error: `Invalid value for query parameter: ${name}`, code: 'invalid_query' };
+    }
+  }
+
+  return { route, query };
+};
+
+// How long each kind of response may be cached, in seconds. Finished matches
+// never change; stats and profiles move slowly; history gains new matches.
+const CACHE_TTL = {
+  IMMUTABLE: 60 * 60 * 24 * 30,
+  PROFILE: 60 * 30,
+  STATS: 60 * 10,
+  LISTING: 60 * 5,
+  HISTORY: 60 * 2,
+  LIVE: 30,
+};
+
+const getCacheTtl = (route, data) => {
+  if (/^matches\/[^/]+\/stats$/.test(route)) return CACHE_TTL.IMMUTABLE;
+  if (/^matches\/[^/]+$/.test(route)) return data?.status === 'FINISHED' ? CACHE_TTL.IMMUTABLE : CACHE_TTL.LIVE;
+  if (/^(teams|players)\/[^/]+\/stats\//.test(route)) return CACHE_TTL.STATS;
+  if (/^players\/[^/]+\/history$/.test(route)) return CACHE_TTL.HISTORY;
+  if (/^(teams|players)\/[^/]+$/.test(route)) return CACHE_TTL.PROFILE;
+  // The app checks keys against `games` (verifyApiKey), so a cached 200 would
+  // keep vouching for a server key after it was removed or rotated
+  if (route === 'games') return 0;
+  return CACHE_TTL.LISTING;
+};
+
+// In-memory cache of upstream responses, shared by every request this process
+// (or warm function instance) serves. Anything with get(key)/set(key, entry),
+// sync or async, works as a store, e.g. a blob store wrapper.
+export const createMemoryCache = (maxEntries = 500) => {
+  const entries = new Map();
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expires <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry;
+    },
+    set: (key, entry) => {
+      // Oldest insertions go first once full
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, entry);
+    },
+  };
+};
+
+// Fixed-window request counters. Any object with an async
+// increment(key, windowMs, amount) resolving to { count, resetAt } can be
+// passed as `counterStore` instead, e.g. one backed by Redis or Netlify Blobs.
+export const createMemoryCounterStore = () => {
+  const windows = new Map();
+  return {
+    increment: async (key, windowMs, amount = 1) => {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += amount;
+
+      // Sweep expired windows once the map gets big
+      if (windows.size > 10000) {
+        windows.forEach((value, name) => {
+          if (value.resetAt <= now) windows.delete(name);
+        });
+      }
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+};
+
+const hash = (value) => createHash('sha1').update(value).digest('hex');
+
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-None-Match',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Expose-Headers': 'ETag',
+};
+
+export const jsonResponse = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    ...CORS_HEADERS,
+    'Cache-Control': 'no-store',
+    ...headers,
+  },
+  body: JSON.stringify(body),
+});
+
+// Loading a team costs 2 requests, plus 2 per member (profile, stats), 1 per
+// history page and 2 per match (details, stats). A league team with six members
+// and 60 matches in the season comes to about 150; the busiest teams (150
+// matches, three history pages each) to about 330. The IP budget covers a
+// head-to-head load of two busy teams and a season switch within one window.
+export const DEFAULT_RATE_LIMIT = { perIp: 1500, perKey: 3000, windowSeconds: 60 };
+
+/**
+ * Create the proxy.
+ *
+ * Options:
+ *   apiBase       upstream base URL (the real API, or the local mock)
+ *   serverApiKey  key used when a request has no Authorization header
+ *   cache         response store (createMemoryCache), or null for none
+ *   rateLimit     { perIp, perKey, windowSeconds }; 0 disables a budget
+ *   counterStore  rate limit counters (createMemoryCounterStore)
+ *
+ * Requests are { headers, ip }, with lowercase header names.
+ */
+export const createFaceitProxy = ({
+  apiBase = 'https://open.faceit.com/data/v4',
+  serverApiKey = null,
+  cache = null,
+  rateLimit = DEFAULT_RATE_LIMIT,
+  counterStore = createMemoryCounterStore(),
+} = {}) => {
+  /**
+   * Charge `cost` requests to the caller's IP and API key budgets.
+   * Returns null while within budget, or a 429 response once a budget is spent.
+   * Requests relying on the server key only count against the IP budget,
+   * since every visitor shares that key.
+   */
+  const checkRateLimit = async ({ headers = {}, ip = 'unknown' }, cost = 1) => {
+    const budgets = [
+      rateLimit.perIp && { scope: 'ip', key: `ip:${ip}`, limit: rateLimit.perIp },
+      rateLimit.perKey && headers.authorization && { scope: 'key', key: `key:${hash(headers.authorization)}`, limit: rateLimit.perKey },
+    ].filter(Boolean);
+
+    for (const { scope, key, limit } of budgets) {
+      const { count, resetAt } = await counterStore.increment(key, rateLimit.windowSeconds * 1000, cost);
+      if (count > limit) {
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        return jsonResponse(429, {
+          error: 'Rate limit exceeded',
+          code: 'rate_limited',
+          scope,
+          limit,
+          window: rateLimit.windowSeconds,
+          retryAfter,
+        }, { 'Retry-After': String(retryAfter) });
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Validate a FACEIT path (with its query string) and answer it from the
+   * cache or upstream. Callers are expected to have checked the rate limit.
+   * `refresh` skips the cache lookup but still stores the fresh response.
+   */
+  const proxyRequest = async (path, requestHeaders = {}, { refresh = false } = {}) => {
+    if (!path) {
+      return jsonResponse(400, { error: 'Missing path parameter', code: 'missing_path' });
+    }
+
+    const validation = validatePath(path);
+    if (!validation.route) {
+      return jsonResponse(validation.statusCode, { error: validation.error, code: validation.code, path });
+    }
+
+    // Construct FACEIT API URL from the validated pieces, re-encoding the query
+    const search = validation.query.toString();
+    const faceitUrl = `${apiBase}/${validation.route}${search ? `?${search}` : ''}`;
+
+    // Forward Authorization header if present, otherwise fall back to the server key
+    const headers = {
+      'Accept': 'application/json',
+    };
+    if (requestHeaders.authorization) {
+      headers['Authorization'] = requestHeaders.authorization;
+    } else if (serverApiKey) {
+      headers['Authorization'] = `Bearer ${serverApiKey}`;
+    }
+
+    // Cached responses are keyed per credential, so an invalid key never
+    // gets served data that was fetched with a valid one
+    const cacheKey = `${hash(headers['Authorization'] || '')}:${faceitUrl}`;
+    const ifNoneMatch = requestHeaders['if-none-match'];
+
+    const respond = ({ body, etag, ttl }) => {
+      const cacheHeaders = {
+        'Content-Type': 'application/json',
+        ...CORS_HEADERS,
+        'ETag': etag,
+        'Cache-Control': ttl > 0 ? `public, max-age=${ttl}, s-maxage=${ttl}` : 'no-store',
+        // The CDN must not hand one key's responses to a request with another key
+        'Vary': 'Authorization',
+        'Netlify-Vary': 'header=Authorization',
+      };
+      if (ifNoneMatch && ifNoneMatch.split(/\s*,\s*/).includes(etag)) {
+        return { statusCode: 304, headers: cacheHeaders, body: '' };
+      }
+      return { statusCode: 200, headers: cacheHeaders, body };
+    };
+
+    // The cache is best effort: a failing store is a miss, and stores that
+    // don't expire entries themselves are held to `expires` here
+    const cached = refresh || !cache ? null : await Promise.resolve()
+      .then(() => cache.get(cacheKey))
+      .catch((error) => {
+        console.warn('Proxy cache read failed:', error);
+        return null;
+      });
+    if (cached && cached.expires > Date.now()) {
+      return respond({ ...cached, ttl: Math.max(0, Math.floor((cached.expires - Date.now()) / 1000)) });
+    }
+
+    try {
+      // Forward the request to FACEIT API
+      const response = await fetch(faceitUrl, {
+        method: 'GET',
+        headers: headers
+      });
+
+      const data = await response.text();
+
+      // Errors and rate limits are passed through uncached
+      if (!response.ok) {
+        const retryAfter = response.headers.get('Retry-After');
+        return {
+          statusCode: response.status,
+          headers: {
+            'Content-Type': 'application/json',
+            ...CORS_HEADERS,
+            'Cache-Control': 'no-store',
+            ...(retryAfter ? { 'Retry-After': retryAfter } : {}),
+          },
+          body: data
+        };
+      }
+
+      let parsed = null;
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        // Not JSON - cache by route alone
+      }
+
+      const ttl = getCacheTtl(validation.route, parsed);
+      const etag = `"${hash(data)}"`;
+      if (ttl > 0) {
+        await Promise.resolve()
+          .then(() => cache?.set(cacheKey, { body: data, etag, expires: Date.now() + ttl * 1000 }))
+          .catch((error) => console.warn('Proxy cache write failed:', error));
+      }
+
+      return respond({ body: data, etag, ttl });
+    } catch (error) {
+      console.error('Proxy error:', error);
+      return jsonResponse(500, { error: 'Failed to fetch from FACEIT API', message: error.message });
+    }
+  };
+
+  return { checkRateLimit, proxyRequest };
+};
@@ -0,0 +1,145 @@
+/**
+ * Team report: the finished team model (roster, allMatches, mapStats,
+ * vetoStats) for a team id in one request.
+ *   GET /api/team-report?id=<team id>&from=<unix seconds>[&to=<unix seconds>]
+ * `from`/`to` bound the match history, normally one season's window; without
+ * them the report covers the newest season of the `seasons` calendar.
+ * Runs the same pipeline as the app (src/teamReport.js). Upstream calls go
+ * through the proxy, so they get the same allowlist, server key and caching.
+ *
+ * A busy team needs hundreds of upstream calls, more than fit in a synchronous
+ * function, so the work stops after `timeBudgetMs`. What was fetched by then
+ * is returned uncached with loadStats.timedOut set; the proxy cache keeps the
+ * responses, so a retry gets further, and the app builds the report itself.
+ */
+
+import { jsonResponse } from './proxy.js';
+import { createLimiter } from './concurrency.js';
+import { GAME_ID, buildTeamReport, fetchHistoryWindow } from '../src/teamReport.js';
+
+const CONCURRENCY = 6;
+const TEAM_ID = /^[A-Za-z0-9-]{1,64}$/;
+const TIMESTAMP = /^\d{1,10}$/;
+
+// Longest history window one report may cover, so a request can't fan out over years
+const MAX_WINDOW_SECONDS = 400 * 24 * 60 * 60;
+
+// Reports change as teams play, but not by the minute
+const REPORT_TTL = 60 * 5;
+
+const createAbortError = () => Object.assign(new Error('Team report time budget exhausted'), { name: 'AbortError' });
+
+// The subset of the createFaceitAPI interface buildTeamReport needs, backed by
+// the proxy. Once `signal` aborts, queued requests fail instead of starting.
+// `usage.requests` counts the upstream calls made, for rate limiting.
+const createProxyClient = (proxy, headers, signal, usage) => {
+  const limit = createLimiter(CONCURRENCY);
+
+  const request = (path) => limit(async () => {
+    if (signal.aborted) throw createAbortError();
+    usage.requests++;
+    const response = await proxy.proxyRequest(path, headers);
+    let body = null;
+    try {
+      body = JSON.parse(response.body);
+    } catch {
+      // Leave body empty, the status says enough
+    }
+
+    if (response.statusCode !== 200) {
+      const error = new Error(body?.errors?.[0]?.message || body?.error || `Request failed (${response.statusCode})`);
+      error.status = response.statusCode;
+      error.endpoint = path;
+      throw error;
+    }
+    return body;
+  });
+
+  return {
+    getTeam: (teamId) => request(`teams/${teamId}`),
+    getTeamStats: (teamId) => request(`teams/${teamId}/stats/${GAME_ID}`),
+    getPlayer: (playerId) => request(`players/${playerId}`),
+    getPlayerStats: (playerId) => request(`players/${playerId}/stats/${GAME_ID}`),
+
+    getPlayerHistory: (playerId, { from, to }) => fetchHistoryWindow((offset, pageLimit) => {
+      const params = [`game=${GAME_ID}`, `offset=${offset}`, `limit=${pageLimit}`, `from=${from}`];
+      if (to) params.push(`to=${to}`);
+      return request(`players/${playerId}/history?${params.join('&')}`);
+    }, { from, to, label: playerId }),
+
+    getMatchesWithStats: (matchIds) => Promise.all(matchIds.map(async (matchId) => {
+      try {
+        const [match, stats] = await Promise.all([
+          request(`matches/${matchId}`),
+          request(`matches/${matchId}/stats`),
+        ]);
+        return { matchId, match, stats, error: null };
+      } catch (error) {
+        return { matchId, match: null, stats: null, error };
+      }
+    })),
+  };
+};
+
+export const handleTeamReport = async (proxy, request, { timeBudgetMs = 8000, seasons } = {}) => {
+  const teamId = request.query.get('id') || '';
+  if (!TEAM_ID.test(teamId)) {
+    return jsonResponse(400, { error: 'Missing or invalid id parameter', code: 'invalid_id' });
+  }
+
+  const fromParam = request.query.get('from');
+  const toParam = request.query.get('to');
+  if ((fromParam && !TIMESTAMP.test(fromParam)) || (toParam && (!fromParam || !TIMESTAMP.test(toParam)))) {
+    return jsonResponse(400, { error: 'from and to must be unix timestamps, and to needs from', code: 'invalid_window' });
+  }
+  const from = fromParam ? parseInt(fromParam) : undefined;
+  const to = toParam ? parseInt(toParam) : undefined;
+  const windowEnd = to ?? Math.floor(Date.now() / 1000);
+  if (from !== undefined && (windowEnd < from || windowEnd - from > MAX_WINDOW_SECONDS)) {
+    return jsonResponse(400, { error: 'History window is empty or too long', code: 'invalid_window' });
+  }
+
+  // Admit the report as one request, then charge the rest of what it actually
+  // fetched once it's done, so a report costs the same as the app fetching it
+  const limited = await proxy.checkRateLimit(request);
+  if (limited) {
+    return limited;
+  }
+
+  // Only the credentials are forwarded; the proxy falls back to the server key
+  const headers = request.headers.authorization ? { authorization: request.headers.authorization } : {};
+  const deadline = new AbortController();
+  const timer = setTimeout(() => deadline.abort(), timeBudgetMs);
+  const usage = { requests: 0 };
+  const api = createProxyClient(proxy, headers, deadline.signal, usage);
+
+  try {
+    const report = await buildTeamReport(api, teamId, { from, to, seasons, signal: deadline.signal });
+    if (deadline.signal.aborted) {
+      report.loadStats.timedOut = true;
+      return jsonResponse(200, report, { 'Cache-Control': 'no-store' });
+    }
+    return jsonResponse(200, report, {
+      'Cache-Control': `public, max-age=${REPORT_TTL}, s-maxage=${REPORT_TTL}`,
+      'Vary': 'Authorization',
+      'Netlify-Vary': 'header=Authorization',
+    });
+  } catch (error) {
+    if (deadline.signal.aborted) {
+      return jsonResponse(504, { error: 'Team report took too long', code: 'report_timeout' });
+    }
+    // Only the team lookups are fatal; member and match failures are counted in loadStats
+    const status = error.status || 500;
+    console.error('Team report error:', error);
+    return jsonResponse(status, {
+      error: status === 404 ? 'Team not found' : 'Failed to build team report',
+      code: status === 404 ? 'team_not_found' : 'report_failed',
+      message: error.message,
+    });
+  } finally {
+    clearTimeout(timer);
+    if (usage.requests > 1) {
+      await proxy.checkRateLimit(request, usage.requests - 1);
+    }
+  }
+};
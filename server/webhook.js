@@ -0,0 +1,80 @@
+/**
+ * FACEIT webhook receiver: pre-warms the proxy cache when tracked matches change.
+ *   POST /api/webhooks/faceit
+ * Subscribe to match events in the FACEIT App Studio and have it send the
+ * shared secret in an X-Webhook-Secret header. Match status events refetch the
+ * match details; finished matches also fetch their stats. Both are fetched with
+ * the server key, so they land in the cache entries server-key visitors read.
+ * Without a proxy cache there is nowhere to keep them, and without a server key
+ * nothing to fetch them with, so the route stays off.
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { jsonResponse } from './proxy.js';
+
+const MATCH_ID = /^[A-Za-z0-9-]{1,64}$/;
+const SECRET_HEADER = 'x-webhook-secret';
+
+// Compare digests so neither the length nor the content of the secret leaks through timing
+const digest = (value) => createHash('sha256').update(value).digest();
+const secretMatches = (expected, received) =>
+  typeof received === 'string' && timingSafeEqual(digest(expected), digest(received));
+
+// What to fetch for each event, or null for events we don't act on
+const getPrefetchPaths = (event, matchId) => {
+  if (event === 'match_status_finished') {
+    return [`matches/${matchId}`, `matches/${matchId}/stats`];
+  }
+  if (event.startsWith('match_status_') || event === 'match_object_created') {
+    return [`matches/${matchId}`];
+  }
+  return null;
+};
+
+export const handleFaceitWebhook = async (proxy, request, { secret, cacheEnabled, serverKeyEnabled }) => {
+  if (!secret) {
+    return jsonResponse(404, { error: 'Webhooks are not enabled', code: 'webhooks_disabled' });
+  }
+  if (!cacheEnabled) {
+    return jsonResponse(404, { error: 'Webhooks need a proxy cache (PROXY_CACHE)', code: 'webhooks_need_cache' });
+  }
+  if (!serverKeyEnabled) {
+    return jsonResponse(404, { error: 'Webhooks need a server API key (FACEIT_API_KEY)', code: 'webhooks_need_key' });
+  }
+  if (!secretMatches(secret, request.headers[SECRET_HEADER])) {
+    return jsonResponse(401, { error: 'Invalid webhook secret', code: 'invalid_secret' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(request.body || '');
+  } catch {
+    return jsonResponse(400, { error: 'Body must be JSON', code: 'invalid_body' });
+  }
+
+  const event = typeof body?.event === 'string' ? body.event : '';
+  const matchId = body?.payload?.id;
+  if (!event || !MATCH_ID.test(matchId || '')) {
+    return jsonResponse(400, { error: 'Missing event or match id', code: 'invalid_event' });
+  }
+
+  const paths = getPrefetchPaths(event, matchId);
+  if (!paths) {
+    return jsonResponse(202, { event, matchId, ignored: true });
+  }
+
+  // The event means anything cached for this match is stale, so skip the cache lookup.
+  // Stats can lag a finished event by a few seconds; failures are reported, not retried.
+  const prefetched = await Promise.all(paths.map(async (path) => {
+    const response = await proxy.proxyRequest(path, {}, { refresh: true });
+    return { path, status: response.statusCode };
+  }));
+
+  // Nothing was cached, so report it as a failure FACEIT's delivery log shows
+  if (prefetched.every(({ status }) => status !== 200)) {
+    console.error(`Webhook prefetch failed for ${matchId}:`, prefetched);
+    return jsonResponse(502, { error: 'Prefetch failed', code: 'prefetch_failed', event, matchId, prefetched });
+  }
+
+  return jsonResponse(200, { event, matchId, prefetched });
+};
@@ -1,629 +1,1515 @@
-import React, { useState, useMemo, useCallback, useEffect } from 'react';
+import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
+import {
+  GAME_ID,
+  HISTORY_MAX_PAGES,
+  ALL_MAPS,
+  ACTIVE_MAP_POOL,
+  MAP_DISPLAY_NAMES,
+  normalizeMapName,
+  toDisplayMapName,
+  createEmptyVetoStats,
+  computeVetoStats,
+  summarizeVetoOrder,
+  fetchHistoryWindow,
+  buildTeamReport,
+  getSeasonSpan,
+  isInSeasonWindow,
+  isSeasonMatch,
+  isCalendarOutdated,
+  SEASON_GRACE_DAYS,
+  loadSeasonCalendar,
+} from './teamReport.js';
 
 // ============================================================================
 // FACEIT API CONFIGURATION
 // ============================================================================
 
-// Simple API configuration
-const IS_DEV = import.meta.env.DEV;
-const GAME_ID = 'cs2';
+// Every environment serves the same /api backend (server/handler.js): the
+// Netlify function, the Vite dev server and the standalone Node server.
+const getApiUrl = (path) => `/api/${path}`;
 
-// Helper to construct API URL
-const getApiUrl = (path) => {
-  if (IS_DEV) {
-    // Development: use Vite dev proxy
-    return `/api/${path}`;
-  } else {
-    // Production: use Netlify serverless function
-    return `/.netlify/functions/api?path=${encodeURIComponent(path)}`;
+// Batched match details + stats, at most this many per request
+const MATCH_BATCH_SIZE = 25;
+
+// Where team reports are built: 'client' runs the pipeline in the browser,
+// 'server' asks /api/team-report and falls back to the browser if that fails.
+// Set with VITE_TEAM_REPORT.
+const TEAM_REPORT_MODE = import.meta.env.VITE_TEAM_REPORT === 'server' ? 'server' : 'client';
+
+// Seasons offered in the season selector: a JSON calendar in VITE_SEASON_CALENDAR,
+// or the built-in one (DEFAULT_SEASONS in teamReport.js)
+const SEASONS = loadSeasonCalendar(import.meta.env.VITE_SEASON_CALENDAR);
+
+// Statuses worth retrying: timeouts, rate limiting and transient upstream failures.
+// Anything else (400, 401, 403, 404, ...) is fatal and surfaces immediately.
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,      // Retries after the first attempt
+  baseDelayMs: 500,   // First backoff step, doubled on every retry
+  maxDelayMs: 10000,  // Upper bound for a single wait (also caps Retry-After)
+};
+
+// Error thrown by every createFaceitAPI method when a request fails for good
+class FaceitApiError extends Error {
+  constructor(message, { status = null, endpoint, attempts = 1, retryable = false, rateLimit = null, cause } = {}) {
+    super(message);
+    this.name = 'FaceitApiError';
+    this.status = status;       // HTTP status, or null for network failures
+    this.endpoint = endpoint;   // FACEIT path, e.g. "matches/1-abc/stats"
+    this.attempts = attempts;   // Total attempts made, including the first
+    this.retryable = retryable; // Whether the last failure was a retryable one
+    this.rateLimit = rateLimit; // Proxy budget that was hit: { scope, limit, window, retryAfter }
+    if (cause) this.cause = cause;
+  }
+}
+
+// The proxy's own rate limit answers 429 with a JSON body describing the budget
+// (FACEIT's 429s don't carry one). Resolves to that description, or null.
+const readProxyRateLimit = (response) => response.clone().json()
+  .then(body => (body?.code === 'rate_limited' ? body : null))
+  .catch(() => null);
+
+const describeRateLimit = ({ scope, limit, window, retryAfter }) =>
+  `Rate limit reached: ${limit} requests per ${window}s per ${scope === 'key' ? 'API key' : 'visitor'}. Try again in ${retryAfter}s.`;
+
+const createAbortError = () => new DOMException('Request aborted', 'AbortError');
+
+const isAbortError = (err) => err?.name === 'AbortError';
+
+// setTimeout as a promise that rejects early when the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with full jitter: random wait in [0, base * 2^attempt]
+const computeBackoff = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+};
+
+// Priority lanes for the request scheduler - lower numbers are dispatched first.
+// Team details and roster drive the first paint, match history can trail behind.
+const REQUEST_PRIORITY = {
+  HIGH: 0,    // Searches, team details, roster players
+  NORMAL: 1,  // Player match history
+  LOW: 2,     // Per-match details and stats
+};
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+  concurrency: 6,     // Max requests in flight at once
+  ratePerSecond: 8,   // Token bucket refill rate
+  burst: 16,          // Token bucket capacity
+};
+
+// Request scheduler: a priority queue drained under a concurrency cap and a
+// token-bucket rate limit. schedule() resolves with whatever the task returns;
+// jobs whose signal aborts while still queued are dropped without running.
+const createRequestScheduler = (options = {}) => {
+  const { concurrency, ratePerSecond, burst } = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+  const lanes = Object.values(REQUEST_PRIORITY).map(() => []);
+
+  let active = 0;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let timer = null;
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  };
+
+  const nextJob = () => {
+    for (const lane of lanes) {
+      if (lane.length > 0) return lane.shift();
+    }
+    return null;
+  };
+
+  const hasQueued = () => lanes.some(lane => lane.length > 0);
+
+  // Wake up later when we're blocked on tokens or a server-requested pause
+  const wakeAfter = (ms) => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      drain();
+    }, ms);
+  };
+
+  const drain = () => {
+    while (active < concurrency && hasQueued()) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        wakeAfter(pausedUntil - now);
+        return;
+      }
+
+      refill();
+      if (tokens < 1) {
+        wakeAfter(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+        return;
+      }
+
+      tokens -= 1;
+      active++;
+      const job = nextJob();
+      job.signal?.removeEventListener('abort', job.onAbort);
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active--;
+          drain();
+        });
+    }
+  };
+
+  return {
+    schedule: (task, priority = REQUEST_PRIORITY.NORMAL, signal) =>
+      new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(createAbortError());
+          return;
+        }
+
+        const lane = lanes[priority] || lanes[REQUEST_PRIORITY.NORMAL];
+        const job = { task, resolve, reject, signal };
+        job.onAbort = () => {
+          const index = lane.indexOf(job);
+          if (index !== -1) lane.splice(index, 1);
+          reject(createAbortError());
+        };
+
+        signal?.addEventListener('abort', job.onAbort, { once: true });
+        lane.push(job);
+        drain();
+      }),
+
+    // Hold every lane for a while, e.g. after FACEIT answers 429 with Retry-After
+    pause: (ms) => {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+
+    getStats: () => ({
+      active,
+      queued: lanes.reduce((sum, lane) => sum + lane.length, 0),
+    }),
+  };
+};
+
+// ============================================================================
+// RESPONSE CACHE
+// ============================================================================
+
+const CACHE_DB_NAME = 'faceit-compare';
+const CACHE_DB_VERSION = 2;
+const CACHE_STORE = 'responses';
+// Size and last use of every stored response, so stats and eviction never read the payloads
+const CACHE_META_STORE = 'meta';
+
+// Least recently used responses are evicted past either limit, finished matches included
+const CACHE_MAX_ENTRIES = 5000;
+const CACHE_MAX_BYTES = 50 * 1024 * 1024;
+
+const MINUTE = 60 * 1000;
+const CACHE_TTL = {
+  IMMUTABLE: Infinity,  // Finished matches never change
+  PROFILE: 30 * MINUTE, // Team and player details
+  STATS: 10 * MINUTE,   // Lifetime stats move after every match
+  HISTORY: 2 * MINUTE,  // Match history grows as players play
+};
+
+// Decide how long a FACEIT response may be served from cache. Returns null for
+// anything we shouldn't cache (searches, key verification, unknown endpoints).
+const getCachePolicy = (path) => {
+  const [route] = path.split('?');
+
+  if (/^matches\/[^/]+\/stats$/.test(route)) {
+    // Stats only exist once a match is over
+    return { ttl: CACHE_TTL.IMMUTABLE };
+  }
+  if (/^matches\/[^/]+$/.test(route)) {
+    // Live and upcoming matches still change, only pin finished ones
+    return { ttl: CACHE_TTL.IMMUTABLE, cacheable: (data) => data?.status === 'FINISHED' };
+  }
+  if (/^(teams|players)\/[^/]+\/stats\//.test(route)) {
+    return { ttl: CACHE_TTL.STATS };
   }
+  if (/^players\/[^/]+\/history$/.test(route)) {
+    return { ttl: CACHE_TTL.HISTORY };
+  }
+  if (/^(teams|players)\/[^/]+$/.test(route)) {
+    return { ttl: CACHE_TTL.PROFILE };
+  }
+  return null;
+};
+
+// Promisify an IDBRequest
+const idbRequest = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// Persistent response cache backed by IndexedDB. Falls back to an in-memory
+// Map when IndexedDB is unavailable (private browsing, SSR, old browsers).
+// An in-memory index of every entry's size and last use keeps getStats cheap
+// and drives LRU eviction once the store passes CACHE_MAX_ENTRIES/BYTES.
+const createResponseCache = () => {
+  const memory = new Map();
+  const index = new Map(); // key -> { size, expiresAt, usedAt }
+  const listeners = new Set();
+  let totalBytes = 0;
+  let dbPromise = null;
+  let indexPromise = null;
+
+  const getDb = () => {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (!dbPromise) {
+      const openReq = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+      openReq.onupgradeneeded = (event) => {
+        const db = openReq.result;
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          db.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+        } else if (event.oldVersion < 2) {
+          // Version 1 entries have no size on record; dropping them is cheaper than measuring
+          openReq.transaction.objectStore(CACHE_STORE).clear();
+        }
+        db.createObjectStore(CACHE_META_STORE, { keyPath: 'key' });
+      };
+      dbPromise = idbRequest(openReq).catch((err) => {
+        console.warn('IndexedDB unavailable, using in-memory cache:', err);
+        return null;
+      });
+    }
+    return dbPromise;
+  };
+
+  // Runs fn(responses, meta) in one transaction over both stores
+  const withStores = async (mode, fn) => {
+    const db = await getDb();
+    if (!db) return null;
+    const tx = db.transaction([CACHE_STORE, CACHE_META_STORE], mode);
+    return fn(tx.objectStore(CACHE_STORE), tx.objectStore(CACHE_META_STORE));
+  };
+
+  // A team load writes hundreds of entries; listeners hear about them in batches
+  let notifyTimer = null;
+  const notify = () => {
+    if (notifyTimer || listeners.size === 0) return;
+    notifyTimer = setTimeout(() => {
+      notifyTimer = null;
+      listeners.forEach(listener => listener());
+    }, 500);
+  };
+
+  const indexEntry = (key, meta) => {
+    totalBytes += meta.size - (index.get(key)?.size || 0);
+    index.set(key, meta);
+  };
+
+  const unindexEntry = (key) => {
+    totalBytes -= index.get(key)?.size || 0;
+    index.delete(key);
+  };
+
+  // Load the index once per session from the small meta records
+  const loadIndex = () => {
+    if (!indexPromise) {
+      indexPromise = withStores('readonly', (_, meta) => idbRequest(meta.getAll()))
+        .then((records) => {
+          (records || []).forEach(({ key, ...meta }) => indexEntry(key, meta));
+        })
+        .catch((err) => {
+          console.warn('Cache index load failed:', err);
+        });
+    }
+    return indexPromise;
+  };
+
+  const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+  const removeEntries = async (keys) => {
+    keys.forEach((key) => {
+      memory.delete(key);
+      unindexEntry(key);
+    });
+    await withStores('readwrite', (responses, meta) => Promise.all(keys.flatMap(key => [
+      idbRequest(responses.delete(key)),
+      idbRequest(meta.delete(key)),
+    ])));
+  };
+
+  // Drop expired entries first, then the least recently used, until both limits hold
+  const evict = async () => {
+    if (index.size <= CACHE_MAX_ENTRIES && totalBytes <= CACHE_MAX_BYTES) return;
+
+    const candidates = [...index.entries()]
+      .map(([key, meta]) => ({ key, ...meta, expired: isExpired(meta) }))
+      .sort((a, b) => (b.expired - a.expired) || (a.usedAt - b.usedAt));
+
+    const victims = [];
+    let entries = index.size;
+    let bytes = totalBytes;
+    for (const candidate of candidates) {
+      if (entries <= CACHE_MAX_ENTRIES && bytes <= CACHE_MAX_BYTES) break;
+      victims.push(candidate.key);
+      entries--;
+      bytes -= candidate.size;
+    }
+    await removeEntries(victims);
+  };
+
+  const cache = {
+    get: async (key) => {
+      try {
+        const entry = (await withStores('readonly', responses => idbRequest(responses.get(key)))) ?? memory.get(key);
+        if (!entry) return null;
+        if (isExpired(entry)) {
+          cache.delete(key);
+          return null;
+        }
+
+        // Recency only needs to be roughly right, so the write isn't awaited
+        await loadIndex();
+        const meta = index.get(key);
+        if (meta) {
+          meta.usedAt = Date.now();
+          withStores('readwrite', (_, metaStore) => idbRequest(metaStore.put({ key, ...meta })))
+            .catch(() => {});
+        }
+        return entry.data;
+      } catch (err) {
+        console.warn('Cache read failed:', key, err);
+        return null;
+      }
+    },
+
+    set: async (key, data, ttl) => {
+      const now = Date.now();
+      const entry = {
+        key,
+        data,
+        storedAt: now,
+        expiresAt: ttl === Infinity ? null : now + ttl,
+      };
+      const meta = { size: JSON.stringify(data).length, expiresAt: entry.expiresAt, usedAt: now };
+      try {
+        await loadIndex();
+        const stored = await withStores('readwrite', (responses, metaStore) => Promise.all([
+          idbRequest(responses.put(entry)),
+          idbRequest(metaStore.put({ key, ...meta })),
+        ]));
+        if (stored === null) memory.set(key, entry);
+        indexEntry(key, meta);
+        await evict();
+      } catch (err) {
+        // Quota exceeded or similar - caching is best effort
+        console.warn('Cache write failed:', key, err);
+      }
+      notify();
+    },
+
+    delete: async (key) => {
+      try {
+        await loadIndex();
+        await removeEntries([key]);
+      } catch (err) {
+        console.warn('Cache delete failed:', key, err);
+      }
+      notify();
+    },
+
+    // Summary of what's stored, for the cache controls in the footer. Read
+    // from the index, so it stays cheap however big the store gets.
+    getStats: async () => {
+      await loadIndex();
+      const stats = { entries: 0, immutable: 0, expired: 0, bytes: totalBytes, persistent: Boolean(await getDb()) };
+
+      index.forEach((meta) => {
+        stats.entries++;
+        if (meta.expiresAt === null) stats.immutable++;
+        if (isExpired(meta)) stats.expired++;
+      });
+
+      return stats;
+    },
+
+    clear: async () => {
+      memory.clear();
+      index.clear();
+      totalBytes = 0;
+      await withStores('readwrite', (responses, meta) => Promise.all([
+        idbRequest(responses.clear()),
+        idbRequest(meta.clear()),
+      ]));
+      notify();
+    },
+
+    // Call `listener` whenever entries are written or removed; returns an unsubscribe function
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  return cache;
 };
 
+// Shared by every API instance so the cache survives API key changes
+const responseCache = createResponseCache();
+
+// ============================================================================
+// FACEIT API CLIENT
+// ============================================================================
+
 // API Service - In production, replace with your actual API key
 // Get your API key from https://developers.faceit.com
-const createFaceitAPI = (apiKey) => {
+// Without a key, requests go out unauthenticated and the proxy injects its own
+// key if the deployment has one configured (FACEIT_API_KEY).
+const createFaceitAPI = (apiKey, options = {}) => {
   const headers = {
-    'Authorization': `Bearer ${apiKey}`,
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
     'Content-Type': 'application/json',
   };
+  const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
+  const scheduler = options.scheduler && typeof options.scheduler.schedule === 'function'
+    ? options.scheduler
+    : createRequestScheduler(options.scheduler);
+  // Pass cache: null to always hit the network
+  const cache = options.cache === undefined ? responseCache : options.cache;
+
+  // Store a response under its path if the cache policy allows it
+  const cacheResponse = (path, data) => {
+    const cachePolicy = cache ? getCachePolicy(path) : null;
+    if (cachePolicy && (!cachePolicy.cacheable || cachePolicy.cacheable(data))) {
+      cache.set(path, data, cachePolicy.ttl);
+    }
+  };
 
-  return {
+  // Shared request core used by every method below. Only GETs are issued, so
+  // every request is idempotent and safe to retry. Each attempt goes through
+  // the scheduler on its own, so backoff waits don't hold a concurrency slot.
+  // An aborted signal rejects with an AbortError at whatever stage it's in.
+  const request = async (path, { errorMessage = 'Request failed', priority = REQUEST_PRIORITY.HIGH, signal } = {}) => {
+    const cachePolicy = cache ? getCachePolicy(path) : null;
+    if (cachePolicy) {
+      const cached = await cache.get(path);
+      if (signal?.aborted) throw createAbortError();
+      if (cached) return cached;
+    }
+
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+      let response;
+
+      try {
+        response = await scheduler.schedule(() => fetch(getApiUrl(path), { headers, signal }), priority, signal);
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+
+        // Network failure (offline, DNS, connection reset) - retry like a 503
+        if (attempt <= retryOptions.maxRetries) {
+          await sleep(computeBackoff(attempt - 1, retryOptions), signal);
+          continue;
+        }
+        throw new FaceitApiError(`${errorMessage} (network error)`, {
+          endpoint: path,
+          attempts: attempt,
+          retryable: true,
+          cause: err,
+        });
+      }
+
+      if (response.ok) {
+        const data = await response.json();
+        cacheResponse(path, data);
+        return data;
+      }
+
+      const retryable = RETRYABLE_STATUSES.has(response.status);
+
+      // Out of proxy budget for longer than we'd back off: stop and say why
+      if (response.status === 429) {
+        const rateLimit = await readProxyRateLimit(response);
+        if (rateLimit && rateLimit.retryAfter * 1000 > retryOptions.maxDelayMs) {
+          scheduler.pause(rateLimit.retryAfter * 1000);
+          throw new FaceitApiError(describeRateLimit(rateLimit), {
+            status: 429,
+            endpoint: path,
+            attempts: attempt,
+            retryable: true,
+            rateLimit,
+          });
+        }
+      }
+
+      if (retryable && attempt <= retryOptions.maxRetries) {
+        // FACEIT sends Retry-After with 429s; respect it over our own backoff
+        const retryAfter = (response.status === 429 || response.status === 503)
+          ? parseRetryAfter(response.headers.get('Retry-After'))
+          : null;
+        const delay = retryAfter !== null
+          ? Math.min(retryAfter, retryOptions.maxDelayMs)
+          : computeBackoff(attempt - 1, retryOptions);
+
+        // A rate limit applies to the whole key, so hold back every queued request too
+        if (response.status === 429) {
+          scheduler.pause(delay);
+        }
+
+        console.warn(`FACEIT ${response.status} on ${path}, retrying in ${delay}ms (attempt ${attempt})`);
+        await sleep(delay, signal);
+        continue;
+      }
+
+      throw new FaceitApiError(`${errorMessage} (${response.status})`, {
+        status: response.status,
+        endpoint: path,
+        attempts: attempt,
+        retryable,
+      });
+    }
+  };
+
+  const api = {
     // Verify API key by making a lightweight request
     // Uses the /games endpoint which is simple and fast
-    verifyApiKey: async () => {
+    verifyApiKey: async ({ signal } = {}) => {
       try {
-        const response = await fetch(
-          getApiUrl('games?offset=0&limit=1'),
-          { headers }
-        );
-        if (response.status === 401) {
+        await request('games?offset=0&limit=1', { errorMessage: 'API error', signal });
+        return { valid: true, error: null };
+      } catch (err) {
+        if (err.status === 401) {
           return { valid: false, error: 'Invalid API key' };
         }
-        if (response.status === 403) {
+        if (err.status === 403) {
           return { valid: false, error: 'API key lacks required permissions' };
         }
-        if (!response.ok) {
-          return { valid: false, error: `API error: ${response.status}` };
+        if (err.status) {
+          return { valid: false, error: `API error: ${err.status}` };
         }
-        return { valid: true, error: null };
-      } catch (err) {
         return { valid: false, error: 'Network error - could not reach FACEIT API' };
       }
     },
 
     // Search for teams by name
-    searchTeams: async (nickname, limit = 20) => {
-      const response = await fetch(
-        getApiUrl(`search/teams?nickname=${encodeURIComponent(nickname)}&game=${GAME_ID}&limit=${limit}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to search teams');
-      return response.json();
-    },
+    searchTeams: (nickname, limit = 20, { signal } = {}) =>
+      request(`search/teams?nickname=${encodeURIComponent(nickname)}&game=${GAME_ID}&limit=${limit}`, { errorMessage: 'Failed to search teams', signal }),
 
     // Get team details
-    getTeam: async (teamId) => {
-      const response = await fetch(
-        getApiUrl(`teams/${teamId}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get team');
-      return response.json();
-    },
+    getTeam: (teamId, { signal } = {}) =>
+      request(`teams/${teamId}`, { errorMessage: 'Failed to get team', signal }),
 
     // Get team statistics
-    getTeamStats: async (teamId) => {
-      const response = await fetch(
-        getApiUrl(`teams/${teamId}/stats/${GAME_ID}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get team stats');
-      return response.json();
-    },
+    getTeamStats: (teamId, { signal } = {}) =>
+      request(`teams/${teamId}/stats/${GAME_ID}`, { errorMessage: 'Failed to get team stats', signal }),
 
     // Get player details
-    getPlayer: async (playerId) => {
-      const response = await fetch(
-        getApiUrl(`players/${playerId}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get player');
-      return response.json();
-    },
+    getPlayer: (playerId, { signal } = {}) =>
+      request(`players/${playerId}`, { errorMessage: 'Failed to get player', signal }),
 
     // Get player statistics
-    getPlayerStats: async (playerId) => {
-      const response = await fetch(
-        getApiUrl(`players/${playerId}/stats/${GAME_ID}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get player stats');
-      return response.json();
-    },
+    getPlayerStats: (playerId, { signal } = {}) =>
+      request(`players/${playerId}/stats/${GAME_ID}`, { errorMessage: 'Failed to get player stats', signal }),
+
+    // Get player match history. Accepts a plain limit, or { limit, offset, from, to, signal }
+    // with unix-second timestamps. When `from` is set, pages automatically until
+    // the whole window is covered (or maxPages is hit) and returns the combined items.
+    getPlayerHistory: async (playerId, options = {}) => {
+      const {
+        limit = 20,
+        offset = 0,
+        from,
+        to,
+        maxPages = HISTORY_MAX_PAGES,
+        signal,
+      } = typeof options === 'number' ? { limit: options } : options;
+
+      const fetchPage = (pageOffset, pageLimit) => {
+        const params = [`game=${GAME_ID}`, `offset=${pageOffset}`, `limit=${pageLimit}`];
+        if (from) params.push(`from=${from}`);
+        if (to) params.push(`to=${to}`);
+        return request(`players/${playerId}/history?${params.join('&')}`, {
+          errorMessage: 'Failed to get player history',
+          priority: REQUEST_PRIORITY.NORMAL,
+          signal,
+        });
+      };
 
-    // Get player match history
-    getPlayerHistory: async (playerId, limit = 20) => {
-      const response = await fetch(
-        getApiUrl(`players/${playerId}/history?game=${GAME_ID}&limit=${limit}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get player history');
-      return response.json();
+      if (!from) {
+        return fetchPage(offset, limit);
+      }
+
+      return fetchHistoryWindow(fetchPage, { offset, from, to, maxPages, label: playerId });
     },
 
     // Get match statistics
-    getMatchStats: async (matchId) => {
-      const response = await fetch(
-        getApiUrl(`matches/${matchId}/stats`),
-        { headers }
-      );
-      if (!response.ok) {
-        const error = new Error(`Failed to get match stats (${response.status})`);
-        error.status = response.status;
-        throw error;
-      }
-      return response.json();
-    },
+    getMatchStats: (matchId, { signal } = {}) =>
+      request(`matches/${matchId}/stats`, { errorMessage: 'Failed to get match stats', priority: REQUEST_PRIORITY.LOW, signal }),
 
     // Search for players
-    searchPlayers: async (nickname, limit = 20) => {
-      const response = await fetch(
-        getApiUrl(`search/players?nickname=${encodeURIComponent(nickname)}&game=${GAME_ID}&limit=${limit}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to search players');
-      return response.json();
-    },
+    searchPlayers: (nickname, limit = 20, { signal } = {}) =>
+      request(`search/players?nickname=${encodeURIComponent(nickname)}&game=${GAME_ID}&limit=${limit}`, { errorMessage: 'Failed to search players', signal }),
 
     // Get hub details (for league/division info)
-    getHub: async (hubId) => {
-      const response = await fetch(
-        getApiUrl(`hubs/${hubId}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get hub');
-      return response.json();
-    },
+    getHub: (hubId, { signal } = {}) =>
+      request(`hubs/${hubId}`, { errorMessage: 'Failed to get hub', signal }),
 
     // Get hub stats/leaderboard
-    getHubStats: async (hubId, limit = 100) => {
-      const response = await fetch(
-        getApiUrl(`hubs/${hubId}/stats?limit=${limit}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get hub stats');
-      return response.json();
-    },
-
-    // Search for hubs (leagues) - Note: FACEIT API doesn't have direct hub search
-    // Popular hubs need to be known by ID (e.g., ECL, FPL, etc.)
-    getPopularHubs: async () => {
-      // This would need to fetch known hub IDs or use organizer search
-      // For now, return a predefined list of popular CS2 league hub IDs
-      return {
-        items: [
-          { hub_id: 'faceit-pro-league', name: 'FACEIT Pro League', game: 'cs2', organizer_name: 'FACEIT' },
-          { hub_id: 'ecl', name: 'ECL', game: 'cs2', organizer_name: 'ECL' },
-          // More would be added based on known hub IDs
-        ]
-      };
-    },
+    getHubStats: (hubId, limit = 100, { signal } = {}) =>
+      request(`hubs/${hubId}/stats?limit=${limit}`, { errorMessage: 'Failed to get hub stats', signal }),
 
     // Get teams/members in a hub
-    getHubMembers: async (hubId, offset = 0, limit = 100) => {
-      const response = await fetch(
-        getApiUrl(`hubs/${hubId}/members?offset=${offset}&limit=${limit}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get hub members');
-      return response.json();
-    },
+    getHubMembers: (hubId, offset = 0, limit = 100, { signal } = {}) =>
+      request(`hubs/${hubId}/members?offset=${offset}&limit=${limit}`, { errorMessage: 'Failed to get hub members', signal }),
 
     // Get league by ID
-    getLeague: async (leagueId) => {
-      const response = await fetch(
-        getApiUrl(`leagues/${leagueId}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get league');
-      return response.json();
-    },
+    getLeague: (leagueId, { signal } = {}) =>
+      request(`leagues/${leagueId}`, { errorMessage: 'Failed to get league', signal }),
 
     // Get league season details
-    getLeagueSeason: async (leagueId, seasonId) => {
+    getLeagueSeason: async (leagueId, seasonId, { signal } = {}) => {
       // Try getting the league first, which should contain seasons
-      const leagueUrl = getApiUrl(`leagues/${leagueId}`);
-      console.log('Fetching league from:', leagueUrl);
-      const leagueResponse = await fetch(leagueUrl, { headers });
-      console.log('League response status:', leagueResponse.status);
-
-      if (!leagueResponse.ok) {
-        const errorText = await leagueResponse.text();
-        console.error('League error response:', errorText);
-        throw new Error(`Failed to get league (${leagueResponse.status}): ${errorText}`);
-      }
-
-      const leagueData = await leagueResponse.json();
-      console.log('League data:', leagueData);
+      const leagueData = await request(`leagues/${leagueId}`, { errorMessage: 'Failed to get league', signal });
 
       // Find the specific season in the league data
       if (leagueData.seasons && Array.isArray(leagueData.seasons)) {
         const season = leagueData.seasons.find(s => s.season_id === seasonId);
         if (season) {
-          console.log('Found season in league data:', season);
           return season;
         }
       }
 
       // If season not found in league data, try the direct season endpoint
-      const seasonUrl = getApiUrl(`leagues/${leagueId}/seasons/${seasonId}`);
-      console.log('Trying season endpoint:', seasonUrl);
-      const seasonResponse = await fetch(seasonUrl, { headers });
-      console.log('Season response status:', seasonResponse.status);
-
-      if (!seasonResponse.ok) {
-        const errorText = await seasonResponse.text();
-        console.error('Season error response:', errorText);
-        throw new Error(`Failed to get league season (${seasonResponse.status}): ${errorText}`);
-      }
-
-      return seasonResponse.json();
+      return request(`leagues/${leagueId}/seasons/${seasonId}`, { errorMessage: 'Failed to get league season', signal });
     },
 
     // Get leaderboard by ID
-    getLeaderboard: async (leaderboardId, offset = 0, limit = 100) => {
-      const response = await fetch(
-        getApiUrl(`leaderboards/${leaderboardId}?offset=${offset}&limit=${limit}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get leaderboard');
-      return response.json();
-    },
+    getLeaderboard: (leaderboardId, offset = 0, limit = 100, { signal } = {}) =>
+      request(`leaderboards/${leaderboardId}?offset=${offset}&limit=${limit}`, { errorMessage: 'Failed to get leaderboard', signal }),
 
-    // Get teams in a league season by first fetching season details to get leaderboard IDs
-    getLeagueSeasonRoster: async (leagueId, seasonId, offset = 0, limit = 100) => {
+    // Get teams in a league season by first fetching season details to get leaderboard IDs.
+    // Pass divisionId to only load one division's leaderboards. Each item is tagged
+    // with the division/conference it came from; the normalized season is returned too.
+    getLeagueSeasonRoster: async (leagueId, seasonId, offset = 0, limit = 100, { signal, divisionId } = {}) => {
       // First get the season details which contains leaderboard IDs in divisions
-      const seasonData = await this.getLeagueSeason(leagueId, seasonId);
-
-      // Extract leaderboard IDs from divisions
-      const leaderboardIds = [];
-      if (seasonData.divisions && Array.isArray(seasonData.divisions)) {
-        seasonData.divisions.forEach(division => {
-          if (division.leaderboards && Array.isArray(division.leaderboards)) {
-            leaderboardIds.push(...division.leaderboards);
-          }
-        });
-      }
+      const seasonData = await api.getLeagueSeason(leagueId, seasonId, { signal });
+      const divisions = normalizeLeagueSeason(seasonData)
+        .filter(division => !divisionId || division.id === divisionId);
+
+      const leaderboards = divisions.flatMap(division =>
+        division.conferences.flatMap(conference =>
+          conference.leaderboardIds.map(leaderboardId => ({ leaderboardId, division, conference }))
+        )
+      );
 
       // If no leaderboards found, return empty result
-      if (leaderboardIds.length === 0) {
-        return { items: [] };
+      if (leaderboards.length === 0) {
+        return { items: [], divisions };
       }
 
       // Fetch data from all leaderboards and combine
-      const allItems = [];
-      for (const leaderboardId of leaderboardIds) {
+      const results = await Promise.all(leaderboards.map(async ({ leaderboardId, division, conference }) => {
         try {
-          const leaderboardData = await this.getLeaderboard(leaderboardId, offset, limit);
-          if (leaderboardData.items) {
-            allItems.push(...leaderboardData.items);
-          }
+          const leaderboardData = await api.getLeaderboard(leaderboardId, offset, limit, { signal });
+          return (leaderboardData.items || []).map(item => ({
+            ...item,
+            leaderboard_id: leaderboardId,
+            division_id: division.id,
+            division_name: division.name,
+            conference_id: conference.id,
+            conference_name: conference.name,
+          }));
         } catch (err) {
+          if (isAbortError(err)) throw err;
           console.warn(`Failed to fetch leaderboard ${leaderboardId}:`, err);
+          return [];
         }
-      }
+      }));
 
-      return { items: allItems };
+      return { items: results.flat(), divisions };
     },
 
     // Get championships (tournaments - different from leagues)
-    getChampionships: async (offset = 0, limit = 20) => {
-      const response = await fetch(
-        getApiUrl(`championships?game=${GAME_ID}&offset=${offset}&limit=${limit}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get championships');
-      return response.json();
-    },
+    // type: 'all' | 'upcoming' | 'ongoing' | 'past'
+    getChampionships: (offset = 0, limit = 20, { signal, type = 'all' } = {}) =>
+      request(`championships?game=${GAME_ID}&type=${type}&offset=${offset}&limit=${limit}`, { errorMessage: 'Failed to get championships', signal }),
 
     // Get championship details
-    getChampionship: async (championshipId) => {
-      const response = await fetch(
-        getApiUrl(`championships/${championshipId}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get championship');
-      return response.json();
-    },
+    getChampionship: (championshipId, { signal } = {}) =>
+      request(`championships/${championshipId}`, { errorMessage: 'Failed to get championship', signal }),
 
     // Get teams in a championship
-    getChampionshipTeams: async (championshipId, offset = 0, limit = 50) => {
-      const response = await fetch(
-        getApiUrl(`championships/${championshipId}/subscriptions?offset=${offset}&limit=${limit}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get championship teams');
-      return response.json();
-    },
+    getChampionshipTeams: (championshipId, offset = 0, limit = 50, { signal } = {}) =>
+      request(`championships/${championshipId}/subscriptions?offset=${offset}&limit=${limit}`, { errorMessage: 'Failed to get championship teams', signal }),
 
     // Get match details
-    getMatch: async (matchId) => {
-      const response = await fetch(
-        getApiUrl(`matches/${matchId}`),
-        { headers }
-      );
-      if (!response.ok) throw new Error('Failed to get match');
-      return response.json();
+    getMatch: (matchId, { signal } = {}) =>
+      request(`matches/${matchId}`, { errorMessage: 'Failed to get match', priority: REQUEST_PRIORITY.LOW, signal }),
+
+    // Get details and stats for many matches. Cached matches are served locally,
+    // the rest go to the batch endpoint MATCH_BATCH_SIZE at a time. Anything the
+    // batch couldn't load for a transient reason (or the whole batch, if it fails)
+    // is retried with single requests. Resolves to [{ matchId, match, stats, error }]
+    // in the order given; `error` is a FaceitApiError when the match couldn't be loaded.
+    getMatchesWithStats: async (matchIds, { signal } = {}) => {
+      const results = new Map();
+
+      const pending = [];
+      await Promise.all(matchIds.map(async (matchId) => {
+        const [match, stats] = cache
+          ? await Promise.all([cache.get(`matches/${matchId}`), cache.get(`matches/${matchId}/stats`)])
+          : [null, null];
+        if (match && stats) {
+          results.set(matchId, { match, stats, error: null });
+        } else {
+          pending.push(matchId);
+        }
+      }));
+      if (signal?.aborted) throw createAbortError();
+
+      const batches = [];
+      for (let i = 0; i < pending.length; i += MATCH_BATCH_SIZE) {
+        batches.push(pending.slice(i, i + MATCH_BATCH_SIZE));
+      }
+
+      await Promise.all(batches.map(async (batch) => {
+        try {
+          const data = await request(`batch/matches?ids=${batch.map(encodeURIComponent).join(',')}`, {
+            errorMessage: 'Failed to get matches',
+            priority: REQUEST_PRIORITY.LOW,
+            signal,
+          });
+
+          (data.items || []).forEach(item => {
+            if (!item.error) {
+              cacheResponse(`matches/${item.match_id}`, item.match);
+              cacheResponse(`matches/${item.match_id}/stats`, item.stats);
+              results.set(item.match_id, { match: item.match, stats: item.stats, error: null });
+            } else if (!RETRYABLE_STATUSES.has(item.error.status)) {
+              // Missing stats (404) and the like won't improve on a retry
+              results.set(item.match_id, {
+                match: item.match,
+                stats: item.stats,
+                error: new FaceitApiError(`${item.error.message} (${item.error.status})`, {
+                  status: item.error.status,
+                  endpoint: item.error.endpoint,
+                  attempts: 1,
+                  retryable: false,
+                }),
+              });
+            }
+          });
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          console.warn('Match batch failed, falling back to single requests:', err);
+        }
+      }));
+
+      await Promise.all(matchIds.filter(matchId => !results.has(matchId)).map(async (matchId) => {
+        try {
+          const [match, stats] = await Promise.all([
+            api.getMatch(matchId, { signal }),
+            api.getMatchStats(matchId, { signal }),
+          ]);
+          results.set(matchId, { match, stats, error: null });
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          results.set(matchId, { match: null, stats: null, error: err });
+        }
+      }));
+
+      return matchIds.map(matchId => ({ matchId, ...results.get(matchId) }));
+    },
+
+    // Get the finished team model ({ team, loadStats }) built server-side for
+    // the history window from-to (unix seconds)
+    getTeamReport: (teamId, { from, to, signal } = {}) => {
+      const params = [`id=${encodeURIComponent(teamId)}`];
+      if (from) params.push(`from=${from}`);
+      if (to) params.push(`to=${to}`);
+      return request(`team-report?${params.join('&')}`, { errorMessage: 'Failed to get team report', signal });
     },
+
+    // Snapshot of the request queue (in flight / waiting), useful for progress UI
+    getQueueStats: () => scheduler.getStats(),
+
+    // Inspect and clear the persistent response cache
+    getCacheStats: () => (cache ? cache.getStats() : Promise.resolve(null)),
+    clearCache: () => (cache ? cache.clear() : Promise.resolve()),
   };
+
+  return api;
 };
 
 // ============================================================================
 // DATA TRANSFORMATION UTILITIES
 // ============================================================================
 
-// All CS2 Maps (current + legacy) - sorting and greying handles what's played
-const ALL_MAPS = ['de_dust2', 'de_mirage', 'de_inferno', 'de_nuke', 'de_ancient', 'de_train', 'de_overpass', 'de_anubis', 'de_vertigo'];
-const MAP_DISPLAY_NAMES = {
-  'de_dust2': 'Dust2',
-  'de_mirage': 'Mirage',
-  'de_inferno': 'Inferno',
-  'de_nuke': 'Nuke',
-  'de_ancient': 'Ancient',
-  'de_train': 'Train',
-  'de_overpass': 'Overpass',
-  'de_anubis': 'Anubis',
-  'de_vertigo': 'Vertigo',
+// Pull a FACEIT id (UUID) out of a pasted URL, or return the trimmed input as-is
+const extractFaceitId = (input) => {
+  const trimmed = (input || '').trim();
+  const uuid = trimmed.match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i);
+  return uuid ? uuid[0] : trimmed;
 };
 
-// Normalize map names from API (handles both "Dust2" and "Dust 2")
-const normalizeMapName = (name) => {
-  // Handle common variations
-  const normalized = name.replace(/\s+/g, '').toLowerCase();
-
-  // Map normalized names back to our display names
-  const nameMap = {
-    'dust2': 'Dust2',
-    'train': 'Train',
-    'mirage': 'Mirage',
-    'ancient': 'Ancient',
-    'anubis': 'Anubis',
-    'inferno': 'Inferno',
-    'nuke': 'Nuke',
-    'overpass': 'Overpass',
-    'vertigo': 'Vertigo',
-  };
+// List a league's seasons, newest first. Handles both `seasons` and `seasons_info`.
+const normalizeLeagueSeasons = (leagueData) => {
+  const seasons = leagueData?.seasons || leagueData?.seasons_info || [];
 
-  return nameMap[normalized] || name;
+  return seasons
+    .map(season => {
+      const number = season.season_number ?? season.number ?? null;
+      return {
+        id: season.season_id || season.id,
+        number,
+        name: season.name || (number !== null ? `Season ${number}` : season.season_id || season.id),
+        start: season.time_start || season.start_date || null,
+        end: season.time_end || season.end_date || null,
+      };
+    })
+    .filter(season => season.id)
+    .sort((a, b) => (b.number ?? 0) - (a.number ?? 0));
 };
 
-const toDisplayMapName = (rawName) => {
-  if (!rawName || typeof rawName !== 'string') return null;
-  if (MAP_DISPLAY_NAMES[rawName]) return MAP_DISPLAY_NAMES[rawName];
+// Flatten a league season into divisions and their conferences. Divisions come
+// either top-level or nested in regions; divisions without conferences get one
+// synthetic conference so the UI can treat every division the same way.
+const normalizeLeagueSeason = (seasonData) => {
+  const rawDivisions = Array.isArray(seasonData?.divisions)
+    ? seasonData.divisions
+    : (seasonData?.regions || []).flatMap(region =>
+      (region.divisions || []).map(division => ({ ...division, region_name: region.name }))
+    );
 
-  const trimmed = rawName.replace(/^de_/, '').replace(/_/g, ' ');
-  const compact = trimmed
-    .split(' ')
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-    .join('');
+  const toLeaderboardIds = (value) => [].concat(value || [])
+    .map(entry => (typeof entry === 'string' ? entry : entry?.leaderboard_id || entry?.id))
+    .filter(Boolean);
 
-  return normalizeMapName(compact);
+  return rawDivisions.map((division, idx) => {
+    const id = division.division_id || division.id || `division-${idx}`;
+    const name = division.name || `Division ${idx + 1}`;
+    const conferences = Array.isArray(division.conferences) && division.conferences.length > 0
+      ? division.conferences.map((conference, confIdx) => ({
+        id: conference.conference_id || conference.id || `${id}-conference-${confIdx}`,
+        name: conference.name || `Conference ${confIdx + 1}`,
+        leaderboardIds: toLeaderboardIds(conference.leaderboards || conference.leaderboard_id),
+      }))
+      : [{
+        id,
+        name,
+        leaderboardIds: toLeaderboardIds(division.leaderboards || division.leaderboard_id),
+      }];
+
+    return { id, name, region: division.region_name || null, conferences };
+  });
 };
 
-const createEmptyVetoStats = () => ({
-  totalMatches: 0,
-  matchesWithVeto: 0,
-  totalVetoes: 0,
-  counts: {},
-  mostVetoed: null,
-  alwaysSame: false,
-});
-
-const extractVetoesFromVoting = (voting, teamLookup) => {
-  if (!voting) return [];
-
-  const mapVoting = voting.map || voting.maps || voting.veto || voting;
-  const actions = [];
-
-  const pushEntries = (entries, type) => {
-    if (!Array.isArray(entries)) return;
-
-    entries.forEach((entry) => {
-      let mapName = null;
-      let teamId = null;
-      let teamName = null;
-
-      if (typeof entry === 'string') {
-        mapName = entry;
-      } else if (entry) {
-        mapName = entry.map || entry.name || entry.entity_id || entry.entity_name || entry.map_name;
-        teamId = entry.team_id || entry.teamId || entry.faction_id;
-        teamName = entry.team_name || entry.teamName || entry.faction_name;
-      }
-
-      if (teamId && !teamName && teamLookup?.[teamId]) {
-        teamName = teamLookup[teamId];
-      }
-
-      if (!mapName) return;
-
-      actions.push({
-        map: mapName,
-        type,
-        teamId,
-        teamName,
-      });
-    });
+// Map a leaderboard entry to a standings row
+const normalizeStanding = (item) => {
+  const entity = item.team || item.player || {};
+  return {
+    teamId: entity.team_id || entity.player_id || item.entity_id,
+    name: entity.name || entity.nickname || 'Unknown',
+    avatar: entity.avatar,
+    position: item.position,
+    points: item.points ?? 0,
+    played: item.played ?? 0,
+    won: item.won ?? 0,
+    lost: item.lost ?? 0,
+    streak: item.current_streak ?? 0,
+    conferenceId: item.conference_id,
   };
+};
 
-  pushEntries(mapVoting.pick || mapVoting.picks || mapVoting.picked, 'pick');
-  pushEntries(mapVoting.drop || mapVoting.drops || mapVoting.ban || mapVoting.bans || mapVoting.veto || mapVoting.vetoes, 'ban');
+// Map a hub stats entry to a leaderboard row. FACEIT has returned the list both
+// as `players` and as `items`, with stats keyed by their display labels.
+const normalizeHubLeaderboard = (statsData) => {
+  const entries = statsData?.players || statsData?.items || [];
 
-  if (Array.isArray(mapVoting)) {
-    pushEntries(mapVoting, 'ban');
-  }
+  return entries.map((entry, idx) => {
+    const stats = entry.stats || {};
+    return {
+      position: idx + 1,
+      id: entry.player_id,
+      nickname: entry.nickname || 'Unknown',
+      matches: parseInt(stats['Matches'] || 0),
+      wins: parseInt(stats['Wins'] || 0),
+      winRate: parseInt(stats['Win Rate %'] || 0),
+      kd: parseFloat(stats['Average K/D Ratio'] || 0),
+      hs: parseInt(stats['Average Headshots %'] || 0),
+    };
+  });
+};
 
-  if (Array.isArray(mapVoting?.votes)) {
-    pushEntries(mapVoting.votes, mapVoting.vote_type || 'ban');
-  }
+// Map a championship payload to what the tournament browser shows
+const normalizeChampionship = (championship) => {
+  const prizes = Array.isArray(championship.prizes) ? championship.prizes : [];
+  const prizePoints = prizes.reduce((sum, prize) => sum + (parseInt(prize.faceit_points) || 0), 0);
 
-  return actions;
+  return {
+    id: championship.championship_id || championship.id,
+    name: championship.name,
+    status: championship.status || 'unknown',
+    region: championship.region,
+    start: championship.championship_start || null, // ms timestamp
+    subscriptionEnd: championship.subscription_end || null,
+    slots: parseInt(championship.slots) || 0,
+    subscriptions: parseInt(championship.current_subscriptions) || 0,
+    totalPrizes: championship.total_prizes || null,
+    prizePoints,
+    url: championship.faceit_url
+      ? championship.faceit_url.replace('{lang}', 'en')
+      : `https://www.faceit.com/en/championship/${championship.championship_id || championship.id}`,
+  };
 };
 
-const computeVetoStats = (matches, teamId, teamName) => {
-  if (!Array.isArray(matches) || matches.length === 0) {
-    return createEmptyVetoStats();
-  }
+// Transform player stats for detailed view
+const transformPlayerStats = (playerData, statsData) => {
+  const lifetime = statsData?.lifetime || {};
+  const segments = statsData?.segments || [];
 
-  const uniqueMatches = new Map();
-  matches.forEach((match) => {
-    const key = match.originalMatchId || match.matchId;
-    if (!uniqueMatches.has(key)) {
-      uniqueMatches.set(key, match);
+  const mapStats = {};
+  segments.forEach(segment => {
+    if (segment.type === 'Map') {
+      mapStats[segment.label] = {
+        matches: parseInt(segment.stats?.['Matches'] || 0),
+        winRate: parseInt(segment.stats?.['Win Rate %'] || 0),
+        kd: parseFloat(segment.stats?.['Average K/D Ratio'] || 1.0),
+        hs: parseInt(segment.stats?.['Average Headshots %'] || 0),
+      };
     }
   });
 
-  const counts = {};
-  let totalVetoes = 0;
-  let matchesWithVeto = 0;
-
-  const isSameTeam = (veto) => {
-    if (veto.teamId && teamId && veto.teamId.toString() === teamId.toString()) return true;
-    if (veto.teamName && teamName && veto.teamName.toLowerCase() === teamName.toLowerCase()) return true;
-    return false;
+  return {
+    id: playerData.player_id,
+    nickname: playerData.nickname,
+    avatar: playerData.avatar,
+    country: playerData.country,
+    elo: playerData.games?.[GAME_ID]?.faceit_elo || 0,
+    skillLevel: playerData.games?.[GAME_ID]?.skill_level || 0,
+    lifetime: {
+      matches: parseInt(lifetime['Matches'] || 0),
+      wins: parseInt(lifetime['Wins'] || 0),
+      winRate: parseInt(lifetime['Win Rate %'] || 0),
+      kd: parseFloat(lifetime['Average K/D Ratio'] || 1.0),
+      hs: parseInt(lifetime['Average Headshots %'] || 0),
+      kpr: parseFloat(lifetime['Average K/R Ratio'] || 0.7),
+    },
+    mapStats,
   };
+};
 
-  uniqueMatches.forEach((match) => {
-    const vetoes = Array.isArray(match.vetoes) ? match.vetoes : [];
-    if (vetoes.length > 0) {
-      matchesWithVeto += 1;
-    }
+// Transform a player history item into a recent-match row from that player's side
+const transformPlayerHistoryItem = (item, playerId) => {
+  const factions = item.teams || {};
+  const playerFaction = Object.keys(factions).find(key =>
+    (factions[key].players || []).some(p => p.player_id === playerId)
+  );
+  const opponentFaction = Object.keys(factions).find(key => key !== playerFaction);
+  const score = item.results?.score || {};
+  const timestamp = item.finished_at || item.started_at;
 
-    vetoes.forEach((veto) => {
-      if (!veto || !isSameTeam(veto)) return;
-      if (veto.type && veto.type !== 'ban' && veto.type !== 'veto' && veto.type !== 'drop') return;
+  return {
+    matchId: item.match_id,
+    result: playerFaction && item.results?.winner
+      ? (item.results.winner === playerFaction ? 'W' : 'L')
+      : '-',
+    score: playerFaction && opponentFaction
+      ? `${score[playerFaction] ?? 0}-${score[opponentFaction] ?? 0}`
+      : '',
+    opponent: factions[opponentFaction]?.nickname || 'Unknown',
+    competition: item.competition_name || item.game_mode || '',
+    date: timestamp ? new Date(timestamp * 1000).toLocaleDateString() : '',
+  };
+};
 
-      const mapName = toDisplayMapName(veto.map);
-      if (!mapName) return;
+// ============================================================================
+// VETO PREDICTION
+// ============================================================================
 
-      counts[mapName] = (counts[mapName] || 0) + 1;
-      totalVetoes += 1;
-    });
-  });
+// Veto order used by FACEIT leagues: BO1 bans down to a decider, BO3 is
+// ban-ban-pick-pick-ban-ban-decider. `true` means the team that starts the veto acts.
+const VETO_ORDER = {
+  bo1: [['ban', true], ['ban', false], ['ban', true], ['ban', false], ['ban', true], ['ban', false]],
+  bo3: [['ban', true], ['ban', false], ['pick', true], ['pick', false], ['ban', true], ['ban', false]],
+};
 
-  const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
-  const most = sorted[0]
-    ? {
-      map: sorted[0][0],
-      count: sorted[0][1],
-      pct: totalVetoes > 0 ? Math.round((sorted[0][1] / totalVetoes) * 100) : 0,
-    }
-    : null;
+// Every map keeps some chance, so a team with little history isn't certain to repeat it
+const VETO_PRIOR = 1;
 
+// A team's ban and pick counts, overall and per slot in one format ('bo1'/'bo3')
+const getVetoPreferences = (vetoStats, format) => {
+  const stats = { ...createEmptyVetoStats(), ...vetoStats };
+  const summary = summarizeVetoOrder(stats.sequences, { format: format.toUpperCase() });
+  const bySlot = (slots) => slots.map(({ maps }) => Object.fromEntries(maps.map(({ map, count }) => [map, count])));
   return {
-    totalMatches: uniqueMatches.size,
-    matchesWithVeto,
-    totalVetoes,
-    counts,
-    mostVetoed: most,
-    alwaysSame: Boolean(most && totalVetoes > 0 && most.count === totalVetoes),
+    ban: { overall: stats.counts, slots: bySlot(summary.banSlots) },
+    pick: { overall: stats.pickCounts, slots: bySlot(summary.pickSlots) },
   };
 };
 
-const getTeamPlayerIdsFromMatchStats = (matchStats, teamId, teamName) => {
-  if (!matchStats || !Array.isArray(matchStats.rounds)) {
-    return [];
-  }
+// How likely a team is to choose each of `remaining` at its `slot`-th ban or
+// pick. Overall frequencies count once and choices at this slot count again,
+// so a habitual first ban outweighs an occasional one.
+const getChoiceWeights = (preferences, type, slot, remaining) => {
+  const { overall, slots } = preferences[type];
+  const atSlot = slots[slot - 1] || {};
+  const weights = remaining.map(map => VETO_PRIOR + (overall[map] || 0) + (atSlot[map] || 0));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map(weight => weight / total);
+};
 
-  const roundWithTeams = matchStats.rounds.find(round => Array.isArray(round.teams) && round.teams.length > 0);
-  if (!roundWithTeams) {
-    return [];
-  }
+/**
+ * Predict the veto between two teams from their vetoStats. Every possible
+ * sequence is enumerated (7 maps leave 5040), each choice weighted by
+ * getChoiceWeights. `starter` is 'a', 'b', or null when unknown (both
+ * orders count half). `pool` lists the maps in play by display name; the
+ * FACEIT order needs exactly seven.
+ *
+ * Returns { maps, steps, probability }: per map the chance it is banned,
+ * picked by either team or left as the decider (`played` sums the last
+ * three), and the single most likely sequence with each step's chance.
+ */
+const predictVeto = ({ vetoStatsA, vetoStatsB, format = 'bo1', starter = null, pool }) => {
+  const order = VETO_ORDER[format];
+  const outcome = Object.fromEntries(pool.map(map => [map, { banned: 0, pickedA: 0, pickedB: 0, decider: 0 }]));
+  let best = { probability: 0, steps: [] };
+
+  const preferences = {
+    a: getVetoPreferences(vetoStatsA, format),
+    b: getVetoPreferences(vetoStatsB, format),
+  };
 
-  const matchingTeam = roundWithTeams.teams.find(team => {
-    if (!team) return false;
-    if (team.team_id && teamId && team.team_id.toString() === teamId.toString()) return true;
-    if (team.team_stats?.['Team'] && team.team_stats['Team'] === teamName) return true;
-    return false;
-  });
+  const walk = (firstSide, stepIndex, remaining, probability, steps, slots) => {
+    if (stepIndex === order.length) {
+      steps.forEach(({ side, type, map }) => {
+        if (type === 'ban') outcome[map].banned += probability;
+        else if (side === 'a') outcome[map].pickedA += probability;
+        else outcome[map].pickedB += probability;
+      });
+      remaining.forEach(map => { outcome[map].decider += probability / remaining.length; });
+      if (probability > best.probability) {
+        best = { probability, steps };
+      }
+      return;
+    }
 
-  if (!matchingTeam || !Array.isArray(matchingTeam.players)) {
-    return [];
+    const [type, starterActs] = order[stepIndex];
+    const side = starterActs === (firstSide === 'a') ? 'a' : 'b';
+    const slot = (slots[`${side}-${type}`] || 0) + 1;
+    const weights = getChoiceWeights(preferences[side], type, slot, remaining);
+
+    remaining.forEach((map, idx) => {
+      walk(
+        firstSide,
+        stepIndex + 1,
+        remaining.filter(other => other !== map),
+        probability * weights[idx],
+        [...steps, { side, type, map, chance: weights[idx] }],
+        { ...slots, [`${side}-${type}`]: slot },
+      );
+    });
+  };
+
+  if (starter) {
+    walk(starter, 0, pool, 1, [], {});
+  } else {
+    walk('a', 0, pool, 0.5, [], {});
+    walk('b', 0, pool, 0.5, [], {});
   }
 
-  return matchingTeam.players
-    .map(player => player.player_id || player.playerId)
-    .filter(Boolean);
+  const maps = pool.map(map => ({
+    map,
+    ...outcome[map],
+    played: outcome[map].pickedA + outcome[map].pickedB + outcome[map].decider,
+  })).sort((a, b) => b.played - a.played || a.banned - b.banned);
+
+  return { maps, steps: best.steps, probability: best.probability };
 };
 
-// Transform FACEIT API data to our app format
-const transformTeamData = (teamDetails, teamStats, memberStats) => {
-  const lifetime = teamStats?.lifetime || {};
-  const segments = teamStats?.segments || [];
+// Win rates are pulled toward 50% as if every map had this many extra matches
+// split evenly, so a 2-0 record on a map doesn't read as a sure thing
+const MAP_WR_PRIOR = 4;
 
-  // Extract map stats from segments
-  const mapStats = {};
-  segments.forEach(segment => {
-    if (segment.type === 'Map' && segment.mode === '5v5') {
-      const mapName = normalizeMapName(segment.label);
-      const stats = segment.stats || {};
-      const wins = parseInt(stats['Wins'] || 0);
-      const matches = parseInt(stats['Matches'] || 0);
-      const losses = matches - wins;
-
-      mapStats[mapName] = {
-        wr: parseInt(stats['Win Rate %'] || 0),
-        played: matches,
-        wins: wins,
-        losses: losses,
-        rounds: parseInt(stats['Rounds'] || 0),
-        avgRounds: matches > 0 ? (parseInt(stats['Rounds'] || 0) / matches).toFixed(1) : '0.0',
-        matches: [], // Will be populated with match details
-      };
+const smoothedWinRate = (stats) =>
+  ((stats?.wins || 0) + MAP_WR_PRIOR / 2) / ((stats?.played || 0) + MAP_WR_PRIOR);
+
+// Our chance to win a map against `opponent`, from both teams' smoothed win rates there
+const getMapWinChance = (team, opponent, map) => {
+  const edge = smoothedWinRate(team.mapStats?.[map]) - smoothedWinRate(opponent.mapStats?.[map]);
+  return Math.min(0.95, Math.max(0.05, 0.5 + edge / 2));
+};
+
+// Chance to take a BO3 given the win chance on each of its three maps in order
+const getSeriesWinChance = ([first, second, third]) =>
+  first * second + first * (1 - second) * third + (1 - first) * second * third;
+
+/**
+ * Score every option for our next ban or pick in a simulated veto. Our later
+ * steps are assumed to be played perfectly, the opponent's follow its veto
+ * history (getChoiceWeights), and each finished veto is worth our chance to
+ * win the decider (BO1) or the series (BO3).
+ *
+ * `steps` are the actions taken so far ({ side, type, map }, 'a' being us).
+ * Returns [{ map, winChance }] for the maps still available, best first.
+ */
+const suggestVetoMoves = ({ team, opponent, format, starter, steps, pool }) => {
+  const order = VETO_ORDER[format];
+  const opponentPreferences = getVetoPreferences(opponent.vetoStats, format);
+  const winChance = Object.fromEntries(pool.map(map => [map, getMapWinChance(team, opponent, map)]));
+  const memo = new Map();
+
+  const sideAt = (stepIndex) => (order[stepIndex][1] === (starter === 'a') ? 'a' : 'b');
+  // Slots only depend on the step, so the opponent's n-th ban is the same in every branch
+  const slotAt = (stepIndex) => {
+    const [type] = order[stepIndex];
+    const side = sideAt(stepIndex);
+    return order.slice(0, stepIndex + 1).filter(([stepType], idx) => stepType === type && sideAt(idx) === side).length;
+  };
+
+  const evaluate = (stepIndex, remaining, picks) => {
+    if (stepIndex === order.length) {
+      return format === 'bo3'
+        ? getSeriesWinChance([...picks, remaining[0]].map(map => winChance[map]))
+        : winChance[remaining[0]];
     }
-  });
 
-  // Calculate roster stats
-  const roster = (teamDetails.members || []).map((member, idx) => {
-    const playerStats = memberStats[member.user_id] || {};
-    const playerLifetime = playerStats.lifetime || {};
+    const key = `${stepIndex}|${remaining.join(',')}|${picks.join(',')}`;
+    if (memo.has(key)) return memo.get(key);
 
-    return {
-      id: member.user_id,
-      name: member.nickname,
-      country: member.country,
-      skillLevel: member.skill_level || 0,
-      role: idx === 0 ? 'Leader' : 'Member',
-      rating: parseFloat(playerLifetime['Average K/D Ratio'] || 1.0),
-      hs: parseInt(playerLifetime['Average Headshots %'] || 0),
-      kpr: parseFloat(playerLifetime['Average K/R Ratio'] || 0.7),
-      wins: parseInt(playerLifetime['Wins'] || 0),
-      matches: parseInt(playerLifetime['Matches'] || 0),
-      winRate: parseInt(playerLifetime['Win Rate %'] || 50),
-    };
-  });
+    const [type] = order[stepIndex];
+    const next = remaining.map(map => evaluate(
+      stepIndex + 1,
+      remaining.filter(other => other !== map),
+      type === 'pick' ? [...picks, map] : picks,
+    ));
 
-  return {
-    id: teamDetails.team_id,
-    name: teamDetails.name,
-    tag: teamDetails.nickname,
-    avatar: teamDetails.avatar,
-    game: teamDetails.game,
-    leader: teamDetails.leader,
-    record: {
-      wins: parseInt(lifetime['Wins'] || 0),
-      losses: parseInt(lifetime['Matches'] || 0) - parseInt(lifetime['Wins'] || 0),
-      matches: parseInt(lifetime['Matches'] || 0),
-      winRate: parseInt(lifetime['Win Rate %'] || 50),
-    },
-    roster,
-    mapStats,
-    recentMatches: [], // Populated separately from match history
-    vetoStats: createEmptyVetoStats(),
+    let value;
+    if (sideAt(stepIndex) === 'a') {
+      value = Math.max(...next);
+    } else {
+      const weights = getChoiceWeights(opponentPreferences, type, slotAt(stepIndex), remaining);
+      value = next.reduce((sum, chance, idx) => sum + chance * weights[idx], 0);
+    }
+    memo.set(key, value);
+    return value;
   };
+
+  const taken = steps.map(step => step.map);
+  const remaining = pool.filter(map => !taken.includes(map));
+  const picks = steps.filter(step => step.type === 'pick').map(step => step.map);
+  const [type] = order[steps.length];
+
+  return remaining
+    .map(map => ({
+      map,
+      winChance: evaluate(
+        steps.length + 1,
+        remaining.filter(other => other !== map),
+        type === 'pick' ? [...picks, map] : picks,
+      ),
+    }))
+    .sort((a, b) => b.winChance - a.winChance);
 };
 
-// Transform player stats for detailed view
-const transformPlayerStats = (playerData, statsData) => {
-  const lifetime = statsData?.lifetime || {};
-  const segments = statsData?.segments || [];
+// How likely the opponent ('b') is to choose each remaining map at the next step, as { map: chance }
+const getOpponentOdds = ({ opponent, format, steps, pool }) => {
+  const [type] = VETO_ORDER[format][steps.length];
+  const slot = steps.filter(step => step.type === type && step.side === 'b').length + 1;
+  const taken = steps.map(step => step.map);
+  const remaining = pool.filter(map => !taken.includes(map));
+  const weights = getChoiceWeights(getVetoPreferences(opponent.vetoStats, format), type, slot, remaining);
+  return Object.fromEntries(remaining.map((map, idx) => [map, weights[idx]]));
+};
+
+// ============================================================================
+// SAMPLE DATA (Used when API key not provided)
+// ============================================================================
+
+// Demo teams are generated from a fixed seed and a fixed snapshot date, so
+// every visitor sees the same data. Each team ends up in the exact shape buildTeamReport produces
+// (roster, lifetime mapStats, allMatches with vetoes, vetoStats).
+
+// Active duty pool the sample vetoes are played from
+const SAMPLE_MAP_POOL = ACTIVE_MAP_POOL;
+
+// "Today" for the demo: seasons are played up to here, so the newest is mid-season
+const SAMPLE_SNAPSHOT = Date.parse('2026-10-18T18:00:00Z');
+
+// Mulberry32 - tiny deterministic PRNG
+const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// `strength` is the per-map chance of winning a map against an even opponent;
+// `bans` and `picks` weight how likely the team is to remove or choose each map.
+const SAMPLE_TEAM_CONFIGS = [
+  {
+    id: 'sample-nova-syndicate',
+    name: 'Nova Syndicate',
+    tag: 'NOVA',
+    division: 'Advanced',
+    strength: { de_mirage: 0.72, de_ancient: 0.66, de_inferno: 0.58, de_dust2: 0.5, de_anubis: 0.45, de_train: 0.4, de_nuke: 0.3 },
+    bans: { de_nuke: 8, de_train: 3, de_anubis: 2 },
+    picks: { de_mirage: 6, de_ancient: 4, de_inferno: 2 },
+    roster: [
+      ['vexa', 'de', 10, 1.21], ['kiraN', 'pl', 10, 1.12], ['mørk', 'dk', 9, 1.05], ['jolt', 'se', 9, 1.01], ['pilgrim', 'de', 8, 0.94],
+    ],
+    formerPlayer: ['tidal', 'nl', 8, 0.97],
+  },
+  {
+    id: 'sample-iron-lotus',
+    name: 'Iron Lotus',
+    tag: 'LOTUS',
+    division: 'Advanced',
+    strength: { de_nuke: 0.7, de_train: 0.64, de_anubis: 0.56, de_inferno: 0.52, de_mirage: 0.46, de_dust2: 0.42, de_ancient: 0.38 },
+    bans: { de_ancient: 5, de_dust2: 5, de_mirage: 2 },
+    picks: { de_nuke: 7, de_train: 4, de_anubis: 2 },
+    roster: [
+      ['arcturus', 'fi', 10, 1.17], ['b1scuit', 'ee', 9, 1.08], ['Halvard', 'no', 9, 1.03], ['sable', 'fi', 8, 0.99], ['omen-', 'lv', 8, 0.92],
+    ],
+    formerPlayer: ['quill', 'fi', 7, 0.9],
+  },
+  {
+    id: 'sample-paper-tigers',
+    name: 'Paper Tigers',
+    tag: 'PPT',
+    division: 'Main',
+    strength: { de_dust2: 0.62, de_inferno: 0.55, de_mirage: 0.52, de_anubis: 0.5, de_ancient: 0.44, de_train: 0.4, de_nuke: 0.36 },
+    bans: { de_train: 4, de_nuke: 4, de_ancient: 3 },
+    picks: { de_dust2: 5, de_inferno: 3, de_mirage: 3 },
+    roster: [
+      ['ziggy', 'gb', 8, 1.09], ['Lumen', 'gb', 8, 1.02], ['rooks', 'ie', 7, 0.98], ['caffeine', 'gb', 7, 0.95], ['d4ve', 'gb', 6, 0.9],
+    ],
+    formerPlayer: ['flint', 'gb', 7, 0.93],
+  },
+  {
+    id: 'sample-hollow-crown',
+    name: 'Hollow Crown',
+    tag: 'HC',
+    division: 'Main',
+    strength: { de_anubis: 0.64, de_ancient: 0.6, de_nuke: 0.52, de_train: 0.5, de_mirage: 0.48, de_inferno: 0.4, de_dust2: 0.44 },
+    bans: { de_inferno: 6, de_dust2: 4 },
+    picks: { de_anubis: 5, de_ancient: 5 },
+    roster: [
+      ['Osric', 'fr', 9, 1.14], ['valet', 'be', 8, 1.04], ['m0nk', 'fr', 8, 1.0], ['renard', 'fr', 7, 0.97], ['tisane', 'ch', 7, 0.91],
+    ],
+    formerPlayer: ['gambit', 'fr', 7, 0.95],
+  },
+];
+
+// Opponents that only exist as names in the sample match history
+const SAMPLE_OPPONENTS = [
+  'Volt Ascend', 'Northbound', 'Seven Sirens', 'Kinetic Five', 'Glass Harbor', 'Atlas Mob', 'Copper Owls', 'Redline Collective',
+];
+
+// Weighted pick from `options`; maps without a weight get weight 1
+const pickWeighted = (random, options, weights = {}) => {
+  const total = options.reduce((sum, option) => sum + (weights[option] || 1), 0);
+  let roll = random() * total;
+  for (const option of options) {
+    roll -= weights[option] || 1;
+    if (roll <= 0) return option;
+  }
+  return options[options.length - 1];
+};
+
+const buildSampleTeam = (config, teamIndex) => {
+  const random = createSeededRandom(1337 + teamIndex * 7919);
+  const playerId = (nickname) => `sample-${config.tag.toLowerCase()}-${nickname.toLowerCase().replace(/[^a-z0-9]/g, '')}`;
+  const currentIds = config.roster.map(([nickname]) => playerId(nickname));
+  const formerId = playerId(config.formerPlayer[0]);
+  const otherTeams = SAMPLE_TEAM_CONFIGS.filter(other => other.id !== config.id);
+
+  const allMatches = [];
+  let matchCounter = 0;
+
+  // Oldest seasons first so the former player's seasons come before the roster change
+  [...SEASONS].reverse().forEach((season, seasonIdx) => {
+    const seasonStart = Date.parse(`${season.start}T18:00:00Z`);
+    const seasonEnd = Math.min(Date.parse(`${season.end}T18:00:00Z`), SAMPLE_SNAPSHOT);
+    if (seasonEnd <= seasonStart) return;
+
+    // The roster change happened between the second and third season
+    const playerIds = seasonIdx < 2 ? [...currentIds.slice(0, 4), formerId] : currentIds;
+    // A season still running at the snapshot has only played part of its matches
+    const seasonShare = (seasonEnd - seasonStart) / (Date.parse(`${season.end}T18:00:00Z`) - seasonStart);
+    const matchCount = Math.max(4, Math.round((9 + Math.floor(random() * 5)) * seasonShare));
+
+    for (let i = 0; i < matchCount; i++) {
+      matchCounter++;
+      const matchId = `sample-${config.tag.toLowerCase()}-${season.id.toLowerCase()}-${matchCounter}`;
+      const timestamp = seasonStart + ((seasonEnd - seasonStart) * (i + random() * 0.8)) / matchCount;
+      const isCup = random() < 0.15;
+      const isBO3 = !isCup && (i >= matchCount - 2 || random() < 0.2);
+
+      const opponentConfig = random() < 0.35 ? otherTeams[Math.floor(random() * otherTeams.length)] : null;
+      const opponent = opponentConfig ? opponentConfig.name : SAMPLE_OPPONENTS[Math.floor(random() * SAMPLE_OPPONENTS.length)];
+      const opponentId = opponentConfig ? opponentConfig.id : `sample-opponent-${opponent.toLowerCase().replace(/\s+/g, '-')}`;
+      const opponentStrength = opponentConfig ? opponentConfig.strength : {};
+
+      // Play out the veto; the side that starts alternates between matches
+      const remaining = [...SAMPLE_MAP_POOL];
+      const vetoes = [];
+      const weStart = random() < 0.5;
+      (isBO3 ? VETO_ORDER.bo3 : VETO_ORDER.bo1).forEach(([type, ourStep]) => {
+        const ours = ourStep === weStart;
+        const weights = ours
+          ? (type === 'ban' ? config.bans : config.picks)
+          : (type === 'ban' ? opponentConfig?.bans : opponentConfig?.picks);
+        const map = pickWeighted(random, remaining, weights);
+        remaining.splice(remaining.indexOf(map), 1);
+        vetoes.push({
+          map,
+          type,
+          teamId: ours ? config.id : opponentId,
+          teamName: ours ? config.name : opponent,
+        });
+      });
+      // Leftover map is the decider, picked by nobody
+      vetoes.push({ map: remaining[0], type: 'pick', teamId: null, teamName: null });
+
+      const mapsToPlay = vetoes.filter(veto => veto.type === 'pick').map(veto => veto.map);
+      const championshipName = isCup
+        ? `FACEIT ${config.division} Weekly Cup #${40 + seasonIdx * 12 + i}`
+        : `ESEA ${season.id} ${config.division} - Regular Season`;
+
+      let ourMaps = 0;
+      let theirMaps = 0;
+      mapsToPlay.forEach((map, mapIdx) => {
+        if (isBO3 && (ourMaps === 2 || theirMaps === 2)) return;
+
+        const winChance = (config.strength[map] ?? 0.5) - ((opponentStrength[map] ?? 0.5) - 0.5);
+        const won = random() < winChance;
+        // MR12 with MR3 overtimes: 13-x in regulation, 16-12..14 or 19-15..17 in overtime
+        const overtimes = random() < 0.12 ? 1 + Math.floor(random() * 2) : 0;
+        const winnerScore = overtimes > 0 ? 13 + overtimes * 3 : 13;
+        const loserScore = overtimes > 0 ? winnerScore - 4 + Math.floor(random() * 3) : Math.floor(random() * 12);
+        if (won) ourMaps++; else theirMaps++;
+
+        allMatches.push({
+          matchId: isBO3 ? `${matchId}-map${mapIdx}` : matchId,
+          originalMatchId: matchId,
+          map,
+          result: won ? 'W' : 'L',
+          score: won ? `${winnerScore}-${loserScore}` : `${loserScore}-${winnerScore}`,
+          date: new Date(timestamp).toLocaleDateString(),
+          timestamp: Math.floor(timestamp / 1000),
+          opponent,
+          championship_name: championshipName,
+          isBO3Map: isBO3,
+          mapNumber: mapIdx + 1,
+          playerIds,
+          vetoes,
+        });
+      });
+    }
+  });
 
+  // Lifetime map stats the way transformTeamData builds them from stat segments
   const mapStats = {};
-  segments.forEach(segment => {
-    if (segment.type === 'Map') {
-      mapStats[segment.label] = {
-        matches: parseInt(segment.stats?.['Matches'] || 0),
-        winRate: parseInt(segment.stats?.['Win Rate %'] || 0),
-        kd: parseFloat(segment.stats?.['Average K/D Ratio'] || 1.0),
-        hs: parseInt(segment.stats?.['Average Headshots %'] || 0),
-      };
+  allMatches.forEach(match => {
+    const mapName = toDisplayMapName(match.map);
+    const [ours, theirs] = match.score.split('-').map(Number);
+    if (!mapStats[mapName]) {
+      mapStats[mapName] = { wr: 0, played: 0, wins: 0, losses: 0, rounds: 0, avgRounds: '0.0', matches: [] };
     }
+    const stat = mapStats[mapName];
+    stat.played++;
+    stat.rounds += ours + theirs;
+    if (match.result === 'W') stat.wins++; else stat.losses++;
+    stat.wr = Math.round((stat.wins / stat.played) * 100);
+    stat.avgRounds = (stat.rounds / stat.played).toFixed(1);
+  });
+
+  const wins = allMatches.filter(match => match.result === 'W').length;
+  const roster = config.roster.map(([nickname, country, skillLevel, rating], idx) => {
+    const matches = 800 + Math.floor(random() * 2200);
+    const winRate = Math.round(46 + rating * 6 + random() * 4);
+    return {
+      id: currentIds[idx],
+      name: nickname,
+      country,
+      skillLevel,
+      role: idx === 0 ? 'Leader' : 'Member',
+      rating,
+      hs: Math.round(38 + random() * 18),
+      kpr: parseFloat((0.58 + (rating - 0.9) * 0.5 + random() * 0.05).toFixed(2)),
+      wins: Math.round((matches * winRate) / 100),
+      matches,
+      winRate,
+    };
   });
 
   return {
-    id: playerData.player_id,
-    nickname: playerData.nickname,
-    avatar: playerData.avatar,
-    country: playerData.country,
-    elo: playerData.games?.[GAME_ID]?.faceit_elo || 0,
-    skillLevel: playerData.games?.[GAME_ID]?.skill_level || 0,
-    lifetime: {
-      matches: parseInt(lifetime['Matches'] || 0),
-      wins: parseInt(lifetime['Wins'] || 0),
-      winRate: parseInt(lifetime['Win Rate %'] || 0),
-      kd: parseFloat(lifetime['Average K/D Ratio'] || 1.0),
-      hs: parseInt(lifetime['Average Headshots %'] || 0),
-      kpr: parseFloat(lifetime['Average K/R Ratio'] || 0.7),
+    id: config.id,
+    name: config.name,
+    tag: config.tag,
+    avatar: null,
+    game: GAME_ID,
+    leader: currentIds[0],
+    record: {
+      wins,
+      losses: allMatches.length - wins,
+      matches: allMatches.length,
+      winRate: allMatches.length > 0 ? Math.round((wins / allMatches.length) * 100) : 0,
     },
+    roster,
     mapStats,
+    recentMatches: [...allMatches].reverse().slice(0, 5).map(match => ({
+      result: match.result,
+      score: match.score,
+      opponent: match.opponent,
+      date: match.date,
+    })),
+    allMatches,
+    vetoStats: computeVetoStats(allMatches, config.id, config.name),
+    isSample: true,
   };
 };
 
-// ============================================================================
-// SAMPLE DATA (Used when API key not provided)
-// ============================================================================
-
-const SAMPLE_TEAMS = {};
+const SAMPLE_TEAMS = Object.fromEntries(
+  SAMPLE_TEAM_CONFIGS.map((config, idx) => [config.id, buildSampleTeam(config, idx)])
+);
 
 // ============================================================================
 // COMPONENTS
@@ -780,7 +1666,7 @@ const TeamSearch = ({ label, onSelect, selectedTeam, excludeId, api }) => {
 };
 
 // Team Card Component
-const TeamCard = ({ team, side, selectedSeason }) => {
+const TeamCard = ({ team, side, selectedSeason, onPlayerSelect }) => {
   const rosterCount = team.roster.length;
   const avgRating = rosterCount > 0
     ? (team.roster.reduce((sum, p) => sum + p.rating, 0) / team.roster.length).toFixed(2)
@@ -792,8 +1678,12 @@ const TeamCard = ({ team, side, selectedSeason }) => {
     ? Math.round(team.roster.reduce((s, p) => s + p.winRate, 0) / team.roster.length)
     : 0;
   const rosterInfo = team.rosterFilterInfo;
-  const vetoStats = team.vetoStats || createEmptyVetoStats();
+  // Teams cached before pick tracking have no pick fields yet
+  const vetoStats = { ...createEmptyVetoStats(), ...team.vetoStats };
   const vetoEntries = Object.entries(vetoStats.counts).sort((a, b) => b[1] - a[1]);
+  const pickEntries = Object.entries(vetoStats.pickCounts).sort((a, b) => b[1] - a[1]);
+  const deciderEntries = Object.entries(vetoStats.deciderCounts).sort((a, b) => b[1] - a[1]);
+  const { own, opponent, decider } = vetoStats.pickResults;
 
   return (
     <div className={`team-card ${side}`}>
@@ -861,7 +1751,10 @@ const TeamCard = ({ team, side, selectedSeason }) => {
                 }
               >
                 <div className="roster-row">
-                  <span className="player-name">
+                  <span
+                    className={`player-name ${onPlayerSelect ? 'clickable' : ''}`}
+                    onClick={onPlayerSelect ? () => onPlayerSelect(player) : undefined}
+                  >
                     {player.name}
                     {player.role === 'Leader' && <span className="leader-badge">★</span>}
                   </span>
@@ -929,6 +1822,63 @@ const TeamCard = ({ team, side, selectedSeason }) => {
           <div className="no-data">No veto data available for this season.</div>
         )}
       </div>
+
+      <div className="section-title">Map Picks</div>
+      <div className="veto-summary">
+        {vetoStats.totalPicks > 0 || vetoStats.totalDeciders > 0 ? (
+          <>
+            <div className="pick-results">
+              <div className="pick-result">
+                <span className="pick-result-label">Own picks</span>
+                <span className="pick-result-value">{own.played > 0 ? `${own.wr}%` : '—'}</span>
+                <span className="pick-result-record">{own.wins}W - {own.played - own.wins}L</span>
+              </div>
+              <div className="pick-result">
+                <span className="pick-result-label">Opponent picks</span>
+                <span className="pick-result-value">{opponent.played > 0 ? `${opponent.wr}%` : '—'}</span>
+                <span className="pick-result-record">{opponent.wins}W - {opponent.played - opponent.wins}L</span>
+              </div>
+              <div className="pick-result">
+                <span className="pick-result-label">Deciders</span>
+                <span className="pick-result-value">{decider.played > 0 ? `${decider.wr}%` : '—'}</span>
+                <span className="pick-result-record">{decider.wins}W - {decider.played - decider.wins}L</span>
+              </div>
+            </div>
+            {pickEntries.length > 0 && (
+              <>
+                <div className="veto-meta">Picked in BO3s</div>
+                <div className="veto-list">
+                  {pickEntries.slice(0, 5).map(([map, count]) => (
+                    <div key={map} className="veto-row">
+                      <span className="veto-map">{map}</span>
+                      <span className="veto-count">
+                        {count} ({Math.round((count / vetoStats.totalPicks) * 100)}%)
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+            {deciderEntries.length > 0 && (
+              <>
+                <div className="veto-meta pick-deciders-title">Deciders</div>
+                <div className="veto-list">
+                  {deciderEntries.slice(0, 5).map(([map, count]) => (
+                    <div key={map} className="veto-row">
+                      <span className="veto-map">{map}</span>
+                      <span className="veto-count">
+                        {count} ({Math.round((count / vetoStats.totalDeciders) * 100)}%)
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </>
+        ) : (
+          <div className="no-data">No pick data available for this season.</div>
+        )}
+      </div>
     </div>
   );
 };
@@ -990,40 +1940,70 @@ const MapOverviewPanel = ({ teamA }) => {
   );
 };
 
-// Map Stats Dashboard
-const MapStatsDashboard = ({ teamA }) => {
+// Matches played on one map, newest first as stored
+const MapMatchList = ({ matches }) => (
+  matches && matches.length > 0 ? (
+    <div className="match-list">
+      {matches.map((match, idx) => (
+        <div key={idx} className="match-item">
+          <MatchResult result={match.result} score={match.score} />
+          <span className="match-opponent">vs {match.opponent}</span>
+          <span className="match-date">{match.date}</span>
+          <a
+            href={`https://www.faceit.com/en/cs2/room/${match.originalMatchId || match.matchId}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="match-link"
+          >
+            View Match ↗
+          </a>
+        </div>
+      ))}
+    </div>
+  ) : (
+    <p className="no-matches">No match data available</p>
+  )
+);
+
+const EMPTY_MAP_STATS = {
+  wr: 0,
+  played: 0,
+  wins: 0,
+  losses: 0,
+  rounds: 0,
+  avgRounds: '0.0',
+  matches: []
+};
+
+// Map Stats Dashboard. With teamB set, every map shows both teams' win rates.
+const MapStatsDashboard = ({ teamA, teamB = null }) => {
   const [expandedMap, setExpandedMap] = useState(null);
 
   // Create entries for ALL maps in the current pool, even if not played
-  const mapEntriesA = ALL_MAPS.map(mapKey => {
+  const mapEntries = ALL_MAPS.map(mapKey => {
     const displayName = MAP_DISPLAY_NAMES[mapKey];
-    const stats = teamA.mapStats?.[displayName] || {
-      wr: 0,
-      played: 0,
-      wins: 0,
-      losses: 0,
-      rounds: 0,
-      avgRounds: '0.0',
-      matches: []
-    };
-    return [displayName, stats];
+    const statsA = teamA.mapStats?.[displayName] || EMPTY_MAP_STATS;
+    const statsB = teamB ? teamB.mapStats?.[displayName] || EMPTY_MAP_STATS : null;
+    return [displayName, statsA, statsB];
   })
   // Sort: played maps first (by matches played descending), then unplayed maps at bottom
   .sort((a, b) => {
-    const aPlayed = a[1].played > 0;
-    const bPlayed = b[1].played > 0;
+    const aPlayedCount = a[1].played + (a[2]?.played || 0);
+    const bPlayedCount = b[1].played + (b[2]?.played || 0);
+    const aPlayed = aPlayedCount > 0;
+    const bPlayed = bPlayedCount > 0;
 
     // If one is played and the other isn't, played comes first
     if (aPlayed && !bPlayed) return -1;
     if (!aPlayed && bPlayed) return 1;
 
     // If both played or both unplayed, sort by matches played (descending)
-    return b[1].played - a[1].played;
+    return bPlayedCount - aPlayedCount;
   });
 
-  const toggleMap = (mapName, stats) => {
+  const toggleMap = (mapName, played) => {
     // Don't allow expanding maps with no matches
-    if (stats.played === 0) return;
+    if (played === 0) return;
     setExpandedMap(expandedMap === mapName ? null : mapName);
   };
 
@@ -1033,49 +2013,67 @@ const MapStatsDashboard = ({ teamA }) => {
       <div className="map-winrates-section">
         <h3>Map Win Rates (Current Pool)</h3>
         <div className="map-wr-list">
-          {mapEntriesA.length > 0 ? mapEntriesA.map(([mapName, stats]) => (
-            <div key={mapName} className={`map-wr-item ${stats.played === 0 ? 'unplayed' : ''}`}>
-              <div className="map-wr-clickable" onClick={() => toggleMap(mapName, stats)}>
-                <WinRateBar
-                  wr={stats.wr || 0}
-                  label={mapName}
-                  teamColor="team-a"
-                  wins={stats.wins || 0}
-                  losses={stats.losses || 0}
-                  played={stats.played || 0}
-                />
-                <span className={`expand-icon ${expandedMap === mapName ? 'expanded' : ''}`}>
-                  {expandedMap === mapName ? '▼' : '▶'}
-                </span>
-              </div>
-              {expandedMap === mapName && (
-                <div className="map-matches-expanded">
-                  <h4>Matches on {mapName}</h4>
-                  {stats.matches && stats.matches.length > 0 ? (
-                    <div className="match-list">
-                      {stats.matches.map((match, idx) => (
-                        <div key={idx} className="match-item">
-                          <MatchResult result={match.result} score={match.score} />
-                          <span className="match-opponent">vs {match.opponent}</span>
-                          <span className="match-date">{match.date}</span>
-                          <a
-                            href={`https://www.faceit.com/en/cs2/room/${match.originalMatchId || match.matchId}`}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="match-link"
-                          >
-                            View Match ↗
-                          </a>
-                        </div>
-                      ))}
+          {mapEntries.length > 0 ? mapEntries.map(([mapName, statsA, statsB]) => {
+            const played = statsA.played + (statsB?.played || 0);
+            return (
+              <div key={mapName} className={`map-wr-item ${played === 0 ? 'unplayed' : ''}`}>
+                <div className="map-wr-clickable" onClick={() => toggleMap(mapName, played)}>
+                  {statsB ? (
+                    <div className="map-wr-pair">
+                      <span className="map-wr-name">{mapName}</span>
+                      <WinRateBar
+                        wr={statsA.wr || 0}
+                        label={teamA.tag}
+                        teamColor="team-a"
+                        wins={statsA.wins || 0}
+                        losses={statsA.losses || 0}
+                        played={statsA.played || 0}
+                      />
+                      <WinRateBar
+                        wr={statsB.wr || 0}
+                        label={teamB.tag}
+                        teamColor="team-b"
+                        wins={statsB.wins || 0}
+                        losses={statsB.losses || 0}
+                        played={statsB.played || 0}
+                      />
                     </div>
                   ) : (
-                    <p className="no-matches">No match data available</p>
+                    <WinRateBar
+                      wr={statsA.wr || 0}
+                      label={mapName}
+                      teamColor="team-a"
+                      wins={statsA.wins || 0}
+                      losses={statsA.losses || 0}
+                      played={statsA.played || 0}
+                    />
                   )}
+                  <span className={`expand-icon ${expandedMap === mapName ? 'expanded' : ''}`}>
+                    {expandedMap === mapName ? '▼' : '▶'}
+                  </span>
                 </div>
-              )}
-            </div>
-          )) : (
+                {expandedMap === mapName && (
+                  <div className="map-matches-expanded">
+                    <h4>Matches on {mapName}</h4>
+                    {statsB ? (
+                      <>
+                        <div className="map-team-header">
+                          <span className="team-indicator team-a">{teamA.tag}</span>
+                        </div>
+                        <MapMatchList matches={statsA.matches} />
+                        <div className="map-team-header">
+                          <span className="team-indicator team-b">{teamB.tag}</span>
+                        </div>
+                        <MapMatchList matches={statsB.matches} />
+                      </>
+                    ) : (
+                      <MapMatchList matches={statsA.matches} />
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          }) : (
             <div className="no-data">No map data available</div>
           )}
         </div>
@@ -1084,73 +2082,644 @@ const MapStatsDashboard = ({ teamA }) => {
   );
 };
 
-// API Key Input Component
-const ApiKeyInput = ({ apiKey, setApiKey, onVerify, verificationStatus }) => {
-  const [showKey, setShowKey] = useState(false);
-  const [isVerifying, setIsVerifying] = useState(false);
+// Head-to-Head Comparison
 
-  const handleVerify = async () => {
-    if (!apiKey.trim()) return;
-    setIsVerifying(true);
-    await onVerify(apiKey);
-    setIsVerifying(false);
+// Win rate gaps smaller than this are called even
+const MAP_ADVANTAGE_THRESHOLD = 10;
+// Below this many matches on a map, a team's win rate is flagged as a small sample
+const MAP_ADVANTAGE_MIN_PLAYED = 3;
+
+const getRosterAverages = (team) => {
+  const roster = team.roster || [];
+  const avg = (pick) => (roster.length > 0 ? roster.reduce((sum, p) => sum + pick(p), 0) / roster.length : 0);
+  return {
+    rating: avg(p => p.rating),
+    hs: avg(p => p.hs),
+    winRate: avg(p => p.winRate),
+    skillLevel: avg(p => p.skillLevel),
   };
+};
 
-  // Don't render if API key is verified
-  if (verificationStatus === 'valid') {
-    return null;
+// Which team is stronger on a map, by the gap between their win rates
+const getMapAdvantage = (statsA, statsB) => {
+  const playedA = statsA?.played || 0;
+  const playedB = statsB?.played || 0;
+  if (playedA === 0 || playedB === 0) {
+    return { side: null, diff: 0, lowSample: false, noData: true };
   }
+  const diff = statsA.wr - statsB.wr;
+  return {
+    side: Math.abs(diff) < MAP_ADVANTAGE_THRESHOLD ? null : diff > 0 ? 'team-a' : 'team-b',
+    diff: Math.abs(diff),
+    lowSample: Math.min(playedA, playedB) < MAP_ADVANTAGE_MIN_PLAYED,
+    noData: false,
+  };
+};
+
+const HeadToHeadGlance = ({ teamA, teamB }) => {
+  const avgA = getRosterAverages(teamA);
+  const avgB = getRosterAverages(teamB);
+
+  const rows = [
+    { label: 'Win Rate', a: teamA.record.winRate, b: teamB.record.winRate, format: v => `${Math.round(v)}%` },
+    { label: 'Average K/D', a: avgA.rating, b: avgB.rating, format: v => v.toFixed(2) },
+    { label: 'Average HS%', a: avgA.hs, b: avgB.hs, format: v => `${Math.round(v)}%` },
+    { label: 'Player Win Rate', a: avgA.winRate, b: avgB.winRate, format: v => `${Math.round(v)}%` },
+    { label: 'Average Level', a: avgA.skillLevel, b: avgB.skillLevel, format: v => v.toFixed(1) },
+  ];
 
   return (
-    <div className="api-key-section">
-      <div className="api-key-header">
-        <span className="api-icon">🔑</span>
-        <span>FACEIT API Key</span>
-        {verificationStatus === 'invalid' && <span className="status-badge invalid">✗ Invalid</span>}
+    <div className="glance-grid">
+      {rows.map(({ label, a, b, format }) => {
+        const total = a + b;
+        const shareA = total > 0 ? (a / total) * 100 : 50;
+        // Deltas that vanish once formatted read as even
+        const delta = format(a) === format(b) ? 0 : a - b;
+        return (
+          <div key={label} className="glance-card">
+            <h3>{label}</h3>
+            <div className="glance-comparison">
+              <div className="glance-team team-a">
+                <span className="team-tag">{teamA.tag}</span>
+                <span className="glance-value">{format(a)}</span>
+              </div>
+              <span className="glance-vs">VS</span>
+              <div className="glance-team team-b">
+                <span className="team-tag">{teamB.tag}</span>
+                <span className="glance-value">{format(b)}</span>
+              </div>
+            </div>
+            <div className="glance-bar">
+              <div className="glance-fill team-a" style={{ width: `${shareA}%` }} />
+              <div className="glance-fill team-b" style={{ width: `${100 - shareA}%` }} />
+            </div>
+            <div className={`glance-delta ${delta > 0 ? 'team-a' : delta < 0 ? 'team-b' : ''}`}>
+              {delta === 0 ? 'Even' : `${delta > 0 ? teamA.tag : teamB.tag} +${format(Math.abs(delta))}`}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const HeadToHeadMaps = ({ teamA, teamB }) => {
+  const vetoesA = teamA.vetoStats || createEmptyVetoStats();
+  const vetoesB = teamB.vetoStats || createEmptyVetoStats();
+  const vetoShare = (vetoStats, mapName) => (vetoStats.totalVetoes > 0
+    ? Math.round(((vetoStats.counts[mapName] || 0) / vetoStats.totalVetoes) * 100)
+    : null);
+
+  return (
+    <div className="h2h-maps">
+      <h3>Map Advantage</h3>
+      <div className="h2h-map-table">
+        <div className="h2h-map-header">
+          <span>Map</span>
+          <span className="team-a">{teamA.tag}</span>
+          <span className="team-b">{teamB.tag}</span>
+          <span>Advantage</span>
+          <span>Vetoed by {teamA.tag}</span>
+          <span>Vetoed by {teamB.tag}</span>
+        </div>
+        {ALL_MAPS.map(mapKey => {
+          const mapName = MAP_DISPLAY_NAMES[mapKey];
+          const statsA = teamA.mapStats?.[mapName];
+          const statsB = teamB.mapStats?.[mapName];
+          const advantage = getMapAdvantage(statsA, statsB);
+          const vetoA = vetoShare(vetoesA, mapName);
+          const vetoB = vetoShare(vetoesB, mapName);
+
+          return (
+            <div key={mapKey} className="h2h-map-row">
+              <span className="h2h-map-name">{mapName}</span>
+              <WinRateBar
+                wr={statsA?.wr || 0}
+                label={teamA.tag}
+                teamColor="team-a"
+                wins={statsA?.wins || 0}
+                losses={statsA?.losses || 0}
+                played={statsA?.played || 0}
+              />
+              <WinRateBar
+                wr={statsB?.wr || 0}
+                label={teamB.tag}
+                teamColor="team-b"
+                wins={statsB?.wins || 0}
+                losses={statsB?.losses || 0}
+                played={statsB?.played || 0}
+              />
+              <span
+                className={`map-advantage ${advantage.side || 'even'} ${advantage.lowSample ? 'low-sample' : ''}`}
+                title={advantage.lowSample ? `One team has fewer than ${MAP_ADVANTAGE_MIN_PLAYED} matches on this map` : undefined}
+              >
+                {advantage.noData
+                  ? '—'
+                  : advantage.side
+                    ? `${advantage.side === 'team-a' ? teamA.tag : teamB.tag} +${advantage.diff}%`
+                    : 'Even'}
+                {advantage.lowSample && '*'}
+              </span>
+              <span className="h2h-veto">{vetoA === null ? '—' : `${vetoA}%`}</span>
+              <span className="h2h-veto">{vetoB === null ? '—' : `${vetoB}%`}</span>
+            </div>
+          );
+        })}
       </div>
-      <div className="api-key-input-wrapper">
-        <input
-          type={showKey ? 'text' : 'password'}
-          placeholder="Enter your FACEIT API key..."
-          value={apiKey}
-          onChange={(e) => setApiKey(e.target.value)}
-          onKeyDown={(e) => {
-            if (e.key === 'Enter' && apiKey.trim()) {
-              handleVerify();
-            }
-          }}
-        />
-        <button
-          className="toggle-visibility"
-          onClick={() => setShowKey(!showKey)}
-          title={showKey ? 'Hide key' : 'Show key'}
-        >
-          {showKey ? '👁️' : '👁️‍🗨️'}
-        </button>
-        <button
-          className="verify-btn"
-          onClick={handleVerify}
-          disabled={!apiKey.trim() || isVerifying}
-          title="Verify API key"
-        >
-          {isVerifying ? (
-            <span className="mini-spinner"></span>
-          ) : (
-            '✓ Verify'
-          )}
-        </button>
+      <div className="h2h-footnote">
+        Advantage is the gap between map win rates this season; * marks maps where a team has fewer than {MAP_ADVANTAGE_MIN_PLAYED} matches.
+        Veto columns show each map's share of that team's vetoes.
       </div>
-      <div className="api-key-help">
-        Get your API key from{' '}
-        <a href="https://developers.faceit.com" target="_blank" rel="noopener noreferrer">
+    </div>
+  );
+};
+
+// Veto Order Panel: what a team bans and picks at each step of the veto
+const ordinal = (n) => ['1st', '2nd', '3rd'][n - 1] || `${n}th`;
+
+const VETO_FORMATS = [
+  { id: null, label: 'All' },
+  { id: 'BO1', label: 'BO1' },
+  { id: 'BO3', label: 'BO3' },
+];
+
+const VetoOrderPanel = ({ team, side = 'team-a' }) => {
+  const [format, setFormat] = useState(null);
+  const [opponent, setOpponent] = useState('');
+
+  const sequences = team.vetoStats?.sequences || [];
+
+  // Opponents with veto data, most frequent first
+  const opponents = useMemo(() => {
+    const counts = {};
+    sequences.forEach(sequence => {
+      counts[sequence.opponent] = (counts[sequence.opponent] || 0) + 1;
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  }, [sequences]);
+
+  // A season change can drop the selected opponent
+  const activeOpponent = opponents.some(([name]) => name === opponent) ? opponent : '';
+  const summary = useMemo(
+    () => summarizeVetoOrder(sequences, { format, opponent: activeOpponent || null }),
+    [sequences, format, activeOpponent]
+  );
+
+  const renderSlot = (slot, kind) => (
+    <div key={`${kind}-${slot.slot}`} className="veto-slot">
+      <div className="veto-slot-header">
+        <span className={`veto-slot-label ${kind}`}>{ordinal(slot.slot)} {kind === 'ban' ? 'Ban' : 'Pick'}</span>
+        <span className="veto-slot-total">{slot.total} matches</span>
+      </div>
+      {slot.maps.slice(0, 3).map(({ map, count, pct }) => (
+        <div key={map} className="veto-slot-row">
+          <span className="veto-map">{map}</span>
+          <div className="veto-slot-track">
+            <div className={`veto-slot-fill ${kind}`} style={{ width: `${pct}%` }} />
+          </div>
+          <span className="veto-count">{pct}% ({count})</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className={`veto-order-panel ${side}`}>
+      <div className="veto-order-header">
+        <h3>Veto Order <span className={`team-indicator ${side}`}>{team.tag}</span></h3>
+        <div className="veto-order-filters">
+          <div className="format-selector">
+            <div className="format-buttons">
+              {VETO_FORMATS.map(({ id, label }) => (
+                <button
+                  key={label}
+                  className={`format-btn ${format === id ? 'active' : ''}`}
+                  onClick={() => setFormat(id)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <select
+            className="season-select"
+            value={activeOpponent}
+            onChange={(e) => setOpponent(e.target.value)}
+          >
+            <option value="">All opponents</option>
+            {opponents.map(([name, count]) => (
+              <option key={name} value={name}>{name} ({count})</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {summary.matches > 0 ? (
+        <>
+          <div className="veto-meta">Based on {summary.matches} matches with this team's vetoes</div>
+          <div className="veto-slots">
+            {summary.banSlots.map(slot => renderSlot(slot, 'ban'))}
+            {summary.pickSlots.map(slot => renderSlot(slot, 'pick'))}
+          </div>
+        </>
+      ) : (
+        <div className="no-data">No veto order data for this selection.</div>
+      )}
+    </div>
+  );
+};
+
+// Veto Prediction Panel: likely veto and maps between the two selected teams
+const formatChance = (p) => `${Math.round(p * 100)}%`;
+
+const VetoPredictionPanel = ({ teamA, teamB }) => {
+  const [format, setFormat] = useState('bo1');
+  const [starter, setStarter] = useState('');
+  const [pool, setPool] = useState(() => ACTIVE_MAP_POOL.map(mapKey => MAP_DISPLAY_NAMES[mapKey]));
+
+  const poolSize = VETO_ORDER[format].length + 1;
+  const poolReady = pool.length === poolSize;
+
+  // Re-runs whenever a team (or its season filter) changes
+  const prediction = useMemo(() => (poolReady
+    ? predictVeto({
+      vetoStatsA: teamA.vetoStats,
+      vetoStatsB: teamB.vetoStats,
+      format,
+      starter: starter || null,
+      pool,
+    })
+    : null), [teamA.vetoStats, teamB.vetoStats, format, starter, pool, poolReady]);
+
+  const togglePoolMap = (map) => {
+    setPool(current => (current.includes(map) ? current.filter(m => m !== map) : [...current, map]));
+  };
+
+  const tagFor = (side) => (side === 'a' ? teamA.tag : teamB.tag);
+  // Whatever the most likely sequence leaves over
+  const deciderMap = prediction && pool.find(map => !prediction.steps.some(step => step.map === map));
+  const historyA = teamA.vetoStats?.matchesWithVeto || 0;
+  const historyB = teamB.vetoStats?.matchesWithVeto || 0;
+
+  return (
+    <div className="veto-prediction">
+      <div className="veto-order-header">
+        <h3>Veto Prediction</h3>
+        <div className="veto-order-filters">
+          <div className="format-selector">
+            <div className="format-buttons">
+              {['bo1', 'bo3'].map(id => (
+                <button
+                  key={id}
+                  className={`format-btn ${format === id ? 'active' : ''}`}
+                  onClick={() => setFormat(id)}
+                >
+                  {id.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+          <select className="season-select" value={starter} onChange={(e) => setStarter(e.target.value)}>
+            <option value="">First ban: unknown</option>
+            <option value="a">First ban: {teamA.name}</option>
+            <option value="b">First ban: {teamB.name}</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="pool-maps">
+        {ALL_MAPS.map(mapKey => {
+          const map = MAP_DISPLAY_NAMES[mapKey];
+          return (
+            <button
+              key={mapKey}
+              className={`pool-map ${pool.includes(map) ? 'active' : ''}`}
+              onClick={() => togglePoolMap(map)}
+            >
+              {map}
+            </button>
+          );
+        })}
+      </div>
+
+      {!poolReady ? (
+        <div className="no-data">Select {poolSize} maps for the pool ({pool.length} selected).</div>
+      ) : (
+        <>
+          <div className="prediction-summary">
+            {prediction.maps.slice(0, format === 'bo3' ? 3 : 1).map(({ map, played, decider }) => (
+              <div key={map} className="overview-card highlight-positive">
+                <span className="overview-label">{format === 'bo3' ? 'Likely played' : 'Likely map'}</span>
+                <span className="overview-value">{map}</span>
+                <span className="overview-subtext">{formatChance(format === 'bo3' ? played : decider)}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="section-title">Most Likely Veto</div>
+          <div className="veto-list">
+            {prediction.steps.map(({ side, type, map, chance }, idx) => (
+              <div key={idx} className="veto-row">
+                <span className="veto-map">
+                  {idx + 1}. <span className={`team-indicator team-${side}`}>{tagFor(side)}</span>{' '}
+                  <span className={`veto-action ${type}`}>{type === 'ban' ? 'bans' : 'picks'}</span> {map}
+                </span>
+                <span className="veto-count">{formatChance(chance)}</span>
+              </div>
+            ))}
+            {deciderMap && (
+              <div className="veto-row">
+                <span className="veto-map">
+                  {prediction.steps.length + 1}. <span className="veto-action decider">decider</span> {deciderMap}
+                </span>
+              </div>
+            )}
+          </div>
+
+          <div className="section-title">Map Probabilities</div>
+          <div className="prediction-maps">
+            {prediction.maps.map(({ map, banned, pickedA, pickedB, decider, played }) => (
+              <div key={map} className="prediction-map-row">
+                <span className="veto-map">{map}</span>
+                <div className="prediction-bar">
+                  <div className="prediction-fill ban" style={{ width: `${banned * 100}%` }} title={`Banned ${formatChance(banned)}`} />
+                  <div className="prediction-fill team-a" style={{ width: `${pickedA * 100}%` }} title={`${teamA.tag} pick ${formatChance(pickedA)}`} />
+                  <div className="prediction-fill team-b" style={{ width: `${pickedB * 100}%` }} title={`${teamB.tag} pick ${formatChance(pickedB)}`} />
+                  <div className="prediction-fill decider" style={{ width: `${decider * 100}%` }} title={`Decider ${formatChance(decider)}`} />
+                </div>
+                <span className="veto-count">{formatChance(played)} played</span>
+              </div>
+            ))}
+          </div>
+          <div className="h2h-footnote">
+            Bars split each map into banned, picked by {teamA.tag}, picked by {teamB.tag} and decider.
+            Based on {historyA} matches with veto data for {teamA.tag} and {historyB} for {teamB.tag} this season.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Veto Simulator: rehearse a veto against the selected opponent step by step,
+// with the best ban or pick suggested whenever it's our turn
+const SIMULATOR_POOL = ACTIVE_MAP_POOL.map(mapKey => MAP_DISPLAY_NAMES[mapKey]);
+
+const formatRecord = (stats) => `${stats?.wins || 0}-${stats?.losses || 0}`;
+
+const VetoSimulator = ({ teamA, teamB }) => {
+  const [format, setFormat] = useState('bo1');
+  const [starter, setStarter] = useState('a');
+  const [steps, setSteps] = useState([]);
+
+  const order = VETO_ORDER[format];
+  const done = steps.length === order.length;
+  const [type, starterActs] = done ? [] : order[steps.length];
+  const side = done ? null : (starterActs === (starter === 'a') ? 'a' : 'b');
+
+  const suggestions = useMemo(() => (side === 'a'
+    ? suggestVetoMoves({ team: teamA, opponent: teamB, format, starter, steps, pool: SIMULATOR_POOL })
+    : []), [teamA, teamB, format, starter, steps, side]);
+
+  const opponentOdds = useMemo(() => (side === 'b'
+    ? getOpponentOdds({ opponent: teamB, format, steps, pool: SIMULATOR_POOL })
+    : {}), [teamB, format, steps, side]);
+
+  const winChance = useMemo(() => Object.fromEntries(
+    SIMULATOR_POOL.map(map => [map, getMapWinChance(teamA, teamB, map)]),
+  ), [teamA, teamB]);
+
+  // Changing the format or who starts invalidates everything played so far
+  const restart = (nextFormat, nextStarter) => {
+    setFormat(nextFormat);
+    setStarter(nextStarter);
+    setSteps([]);
+  };
+
+  const play = (map) => {
+    if (done) return;
+    setSteps(current => [...current, { side, type, map }]);
+  };
+
+  const tagFor = (stepSide) => (stepSide === 'a' ? teamA.tag : teamB.tag);
+  const stepFor = (map) => steps.find(step => step.map === map);
+  const remaining = SIMULATOR_POOL.filter(map => !stepFor(map));
+  const suggestion = suggestions[0];
+  const likelyResponse = Object.entries(opponentOdds).sort((a, b) => b[1] - a[1])[0];
+
+  const played = done ? [...steps.filter(step => step.type === 'pick').map(step => step.map), remaining[0]] : [];
+  const result = done
+    ? (format === 'bo3' ? getSeriesWinChance(played.map(map => winChance[map])) : winChance[played[0]])
+    : null;
+
+  return (
+    <div className="veto-prediction veto-simulator">
+      <div className="veto-order-header">
+        <h3>Veto Simulator</h3>
+        <div className="veto-order-filters">
+          <div className="format-selector">
+            <div className="format-buttons">
+              {['bo1', 'bo3'].map(id => (
+                <button
+                  key={id}
+                  className={`format-btn ${format === id ? 'active' : ''}`}
+                  onClick={() => restart(id, starter)}
+                >
+                  {id.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+          <select className="season-select" value={starter} onChange={(e) => restart(format, e.target.value)}>
+            <option value="a">First ban: {teamA.name}</option>
+            <option value="b">First ban: {teamB.name}</option>
+          </select>
+          <div className="format-buttons">
+            <button className="format-btn" disabled={steps.length === 0} onClick={() => setSteps(current => current.slice(0, -1))}>
+              Undo
+            </button>
+            <button className="format-btn" disabled={steps.length === 0} onClick={() => setSteps([])}>
+              Reset
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="sim-status">
+        {done ? (
+          <span>
+            {format === 'bo3'
+              ? <>{teamA.tag} take the series in {formatChance(result)} of cases on {played.join(', ')}.</>
+              : <>{teamA.tag} win {played[0]} {formatChance(result)} of the time.</>}
+          </span>
+        ) : (
+          <>
+            <span>
+              Step {steps.length + 1} of {order.length}:{' '}
+              <span className={`team-indicator team-${side}`}>{tagFor(side)}</span>{' '}
+              <span className={`veto-action ${type}`}>{type === 'ban' ? 'bans' : 'picks'}</span>
+              {side === 'a' && suggestion && (
+                <> — suggested: <strong>{suggestion.map}</strong> ({formatChance(suggestion.winChance)} to win the {format === 'bo3' ? 'series' : 'map'})</>
+              )}
+              {side === 'b' && likelyResponse && (
+                <> — most likely: <strong>{likelyResponse[0]}</strong> ({formatChance(likelyResponse[1])})</>
+              )}
+            </span>
+            <button
+              className="format-btn active"
+              onClick={() => play(side === 'a' ? suggestion.map : likelyResponse[0])}
+            >
+              {side === 'a' ? 'Play suggestion' : 'Play most likely'}
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="sim-board">
+        {SIMULATOR_POOL.map(map => {
+          const step = stepFor(map);
+          const isDecider = done && !step;
+          const rank = suggestions.findIndex(option => option.map === map);
+          let state = '';
+          if (step) state = step.type === 'ban' ? 'banned' : `picked team-${step.side}`;
+          else if (isDecider) state = 'decider';
+          else if (rank === 0) state = 'best';
+
+          return (
+            <button
+              key={map}
+              className={`sim-map ${state}`}
+              disabled={done || Boolean(step)}
+              onClick={() => play(map)}
+            >
+              <span className="sim-map-name">{map}</span>
+              <span className="sim-map-status">
+                {step && <>{tagFor(step.side)} {step.type}</>}
+                {isDecider && 'Decider'}
+                {rank >= 0 && `${formatChance(suggestions[rank].winChance)} to win`}
+                {opponentOdds[map] !== undefined && `${formatChance(opponentOdds[map])} likely`}
+              </span>
+              <span className="sim-map-meta">
+                {teamA.tag} {formatRecord(teamA.mapStats?.[map])} · {teamB.tag} {formatRecord(teamB.mapStats?.[map])}
+              </span>
+              <span className="sim-map-meta">Map win chance {formatChance(winChance[map])}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {steps.length > 0 && (
+        <div className="veto-list">
+          {steps.map((step, idx) => (
+            <div key={idx} className="veto-row">
+              <span className="veto-map">
+                {idx + 1}. <span className={`team-indicator team-${step.side}`}>{tagFor(step.side)}</span>{' '}
+                <span className={`veto-action ${step.type}`}>{step.type === 'ban' ? 'bans' : 'picks'}</span> {step.map}
+              </span>
+            </div>
+          ))}
+          {done && (
+            <div className="veto-row">
+              <span className="veto-map">
+                {steps.length + 1}. <span className="veto-action decider">decider</span> {remaining[0]}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="h2h-footnote">
+        Click a map to play it for whoever is on the clock. Suggestions assume {teamA.tag} vetoes optimally
+        from here and {teamB.tag} follows its veto history. Win chances compare both teams' records on each map,
+        pulled toward 50% when few matches were played.
+      </div>
+    </div>
+  );
+};
+
+// API Key Input Component
+const ApiKeyInput = ({ apiKey, setApiKey, onVerify, verificationStatus, serverKey }) => {
+  const [showKey, setShowKey] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [useOwnKey, setUseOwnKey] = useState(false);
+
+  const handleVerify = async () => {
+    if (!apiKey.trim()) return;
+    setIsVerifying(true);
+    await onVerify(apiKey);
+    setIsVerifying(false);
+  };
+
+  // Don't render if API key is verified
+  if (verificationStatus === 'valid') {
+    return null;
+  }
+
+  // The deployment supplies a key, so only ask for one if the user wants to use their own
+  if (serverKey && !useOwnKey && !apiKey) {
+    return (
+      <div className="api-key-section">
+        <div className="server-key-notice">
+          <span className="api-icon">🔑</span>
+          <span>Using this deployment's FACEIT API key</span>
+          <button className="own-key-btn" onClick={() => setUseOwnKey(true)}>
+            Use my own key
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="api-key-section">
+      <div className="api-key-header">
+        <span className="api-icon">🔑</span>
+        <span>FACEIT API Key</span>
+        {verificationStatus === 'invalid' && <span className="status-badge invalid">✗ Invalid</span>}
+      </div>
+      <div className="api-key-input-wrapper">
+        <input
+          type={showKey ? 'text' : 'password'}
+          placeholder="Enter your FACEIT API key..."
+          value={apiKey}
+          onChange={(e) => setApiKey(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && apiKey.trim()) {
+              handleVerify();
+            }
+          }}
+        />
+        <button
+          className="toggle-visibility"
+          onClick={() => setShowKey(!showKey)}
+          title={showKey ? 'Hide key' : 'Show key'}
+        >
+          {showKey ? '👁️' : '👁️‍🗨️'}
+        </button>
+        <button
+          className="verify-btn"
+          onClick={handleVerify}
+          disabled={!apiKey.trim() || isVerifying}
+          title="Verify API key"
+        >
+          {isVerifying ? (
+            <span className="mini-spinner"></span>
+          ) : (
+            '✓ Verify'
+          )}
+        </button>
+      </div>
+      <div className="api-key-help">
+        Get your API key from{' '}
+        <a href="https://developers.faceit.com" target="_blank" rel="noopener noreferrer">
           developers.faceit.com
         </a>
         {' '}→ App Studio → Create App → API Keys
       </div>
-      {!apiKey && (
+      {!apiKey && !serverKey && (
         <div className="demo-mode-notice">
           <span className="demo-icon">ℹ️</span>
-          Running in demo mode with sample data
+          Running in demo mode with sample data - search for {Object.values(SAMPLE_TEAMS).map(t => t.name).join(', ')}
         </div>
       )}
       {verificationStatus === 'invalid' && (
@@ -1163,30 +2732,1041 @@ const ApiKeyInput = ({ apiKey, setApiKey, onVerify, verificationStatus }) => {
   );
 };
 
-
+
+// League Explorer Component - browse a league's seasons, divisions and standings
+const LeagueExplorer = ({ api, onSelectTeam }) => {
+  const [leagueInput, setLeagueInput] = useState(() => localStorage.getItem('faceit_league_id') || '');
+  const [league, setLeague] = useState(null);
+  const [seasonId, setSeasonId] = useState(null);
+  const [divisions, setDivisions] = useState([]);
+  const [divisionId, setDivisionId] = useState(null);
+  const [standings, setStandings] = useState([]);
+  const [loadingStep, setLoadingStep] = useState(null); // 'league', 'season', 'standings'
+  const [error, setError] = useState(null);
+  const leagueLoadRef = useRef(null); // AbortController of the league being loaded
+
+  const loadLeague = async () => {
+    const leagueId = extractFaceitId(leagueInput);
+    if (!leagueId) return;
+
+    // A newer load (or leaving the tab) cancels this one
+    leagueLoadRef.current?.abort();
+    const controller = new AbortController();
+    leagueLoadRef.current = controller;
+
+    setLoadingStep('league');
+    setError(null);
+    try {
+      const data = await api.getLeague(leagueId, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+      const seasons = normalizeLeagueSeasons(data);
+      setLeague({ id: data.league_id || data.id || leagueId, name: data.name, seasons });
+      setSeasonId(seasons[0]?.id || null);
+      localStorage.setItem('faceit_league_id', leagueId);
+    } catch (err) {
+      if (controller.signal.aborted || isAbortError(err)) return;
+      setError(`Failed to load league: ${err.message}`);
+      setLeague(null);
+    }
+    setLoadingStep(null);
+  };
+
+  // Reopen the last league when coming back to the tab
+  useEffect(() => {
+    if (leagueInput) loadLeague();
+    return () => leagueLoadRef.current?.abort();
+  }, []);
+
+  // Load the division list whenever the season changes
+  useEffect(() => {
+    if (!league || !seasonId) return undefined;
+
+    const controller = new AbortController();
+    setDivisions([]);
+    setDivisionId(null);
+    setStandings([]);
+    setLoadingStep('season');
+    setError(null);
+
+    api.getLeagueSeason(league.id, seasonId, { signal: controller.signal })
+      .then(seasonData => {
+        const seasonDivisions = normalizeLeagueSeason(seasonData);
+        setDivisions(seasonDivisions);
+        setDivisionId(seasonDivisions[0]?.id || null);
+        setLoadingStep(null);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setError(`Failed to load season: ${err.message}`);
+        setLoadingStep(null);
+      });
+
+    return () => controller.abort();
+  }, [api, league, seasonId]);
+
+  // Load standings for every conference in the selected division
+  useEffect(() => {
+    if (!league || !seasonId || !divisionId) return undefined;
+
+    const controller = new AbortController();
+    setStandings([]);
+    setLoadingStep('standings');
+
+    api.getLeagueSeasonRoster(league.id, seasonId, 0, 100, { divisionId, signal: controller.signal })
+      .then(roster => {
+        setStandings(roster.items.map(normalizeStanding));
+        setLoadingStep(null);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setError(`Failed to load standings: ${err.message}`);
+        setLoadingStep(null);
+      });
+
+    return () => controller.abort();
+  }, [api, league, seasonId, divisionId]);
+
+  const division = divisions.find(d => d.id === divisionId);
+
+  return (
+    <div className="explorer-panel">
+      <div className="league-selector">
+        <label htmlFor="league-id-input">League</label>
+        <div className="hub-url-input">
+          <input
+            id="league-id-input"
+            type="text"
+            placeholder="Paste a FACEIT league ID or URL..."
+            value={leagueInput}
+            onChange={(e) => setLeagueInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') loadLeague();
+            }}
+          />
+          <button
+            className="url-submit-btn"
+            onClick={loadLeague}
+            disabled={!leagueInput.trim() || loadingStep === 'league'}
+          >
+            {loadingStep === 'league' ? <span className="mini-spinner"></span> : 'Load'}
+          </button>
+        </div>
+        {error && <div className="url-error">{error}</div>}
+
+        {league && (
+          <div className="explorer-controls">
+            <span className="explorer-title">{league.name}</span>
+            <select
+              className="season-select"
+              value={seasonId || ''}
+              onChange={(e) => setSeasonId(e.target.value)}
+            >
+              {league.seasons.map(season => (
+                <option key={season.id} value={season.id}>{season.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {divisions.length > 0 && (
+        <div className="map-tabs explorer-tabs">
+          {divisions.map(d => (
+            <button
+              key={d.id}
+              className={`map-tab ${d.id === divisionId ? 'active' : ''}`}
+              onClick={() => setDivisionId(d.id)}
+            >
+              {d.region ? `${d.region} · ${d.name}` : d.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {loadingStep === 'season' || loadingStep === 'standings' ? (
+        <div className="league-loading">Loading {loadingStep === 'season' ? 'divisions' : 'standings'}...</div>
+      ) : division ? (
+        division.conferences.map(conference => {
+          const rows = standings
+            .filter(row => !row.conferenceId || row.conferenceId === conference.id)
+            .sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+
+          return (
+            <div key={conference.id} className="standings-group">
+              {division.conferences.length > 1 && <div className="section-title">{conference.name}</div>}
+              {rows.length > 0 ? (
+                <div className="standings-table">
+                  <div className="standings-header">
+                    <span>#</span>
+                    <span>Team</span>
+                    <span>W-L</span>
+                    <span>Played</span>
+                    <span>Points</span>
+                  </div>
+                  {rows.map(row => (
+                    <div
+                      key={`${row.teamId}-${conference.id}`}
+                      className="standings-row"
+                      onClick={() => onSelectTeam({ id: row.teamId, name: row.name, avatar: row.avatar })}
+                      title={`Analyze ${row.name}`}
+                    >
+                      <span className="standings-pos">{row.position ?? '-'}</span>
+                      <span className="standings-team">{row.name}</span>
+                      <span>{row.won}-{row.lost}</span>
+                      <span>{row.played}</span>
+                      <span className="standings-points">{row.points}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="league-empty">No standings published for this conference yet.</div>
+              )}
+            </div>
+          );
+        })
+      ) : league && !loadingStep ? (
+        <div className="league-empty">No divisions found for this season.</div>
+      ) : null}
+    </div>
+  );
+};
+
+// Sections that browse FACEIT data rather than analyze the selected team
+const BROWSE_SECTIONS = ['league', 'tournaments', 'hubs', 'players'];
+
+const TOURNAMENT_PAGE_SIZE = 20;
+const TOURNAMENT_TEAMS_PAGE_SIZE = 50;
+
+// Registered teams of one championship, paged through offset/limit
+const ChampionshipTeams = ({ api, championshipId, onSelectTeam }) => {
+  const [teams, setTeams] = useState([]);
+  const [offset, setOffset] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    api.getChampionshipTeams(championshipId, offset, TOURNAMENT_TEAMS_PAGE_SIZE, { signal: controller.signal })
+      .then(data => {
+        const items = data.items || [];
+        setTeams(items.map(item => {
+          const team = item.team || {};
+          return {
+            id: team.team_id,
+            name: team.name || team.nickname || 'Unknown',
+            avatar: team.avatar,
+            type: team.type,
+            status: item.status,
+          };
+        }));
+        setHasMore(items.length === TOURNAMENT_TEAMS_PAGE_SIZE);
+        setIsLoading(false);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setError(`Failed to load teams: ${err.message}`);
+        setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [api, championshipId, offset]);
+
+  if (error) return <div className="url-error">{error}</div>;
+
+  return (
+    <div className="championship-teams">
+      {isLoading ? (
+        <div className="league-loading">Loading teams...</div>
+      ) : teams.length > 0 ? (
+        <div className="team-chip-list">
+          {teams.map(team => (
+            <button
+              key={team.id}
+              className="team-chip"
+              onClick={() => onSelectTeam({ id: team.id, name: team.name, avatar: team.avatar })}
+              disabled={!team.id}
+              title={`Analyze ${team.name}`}
+            >
+              {team.name}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="league-empty">No teams registered yet.</div>
+      )}
+      {(offset > 0 || hasMore) && (
+        <div className="pager">
+          <button
+            className="map-tab"
+            onClick={() => setOffset(Math.max(0, offset - TOURNAMENT_TEAMS_PAGE_SIZE))}
+            disabled={offset === 0 || isLoading}
+          >
+            ‹ Prev
+          </button>
+          <span className="pager-info">
+            {offset + 1}-{offset + teams.length}
+          </span>
+          <button
+            className="map-tab"
+            onClick={() => setOffset(offset + TOURNAMENT_TEAMS_PAGE_SIZE)}
+            disabled={!hasMore || isLoading}
+          >
+            Next ›
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Tournament Browser Component - CS2 championships with filters and registered teams
+const TournamentBrowser = ({ api, onSelectTeam }) => {
+  const [type, setType] = useState('upcoming');
+  const [championships, setChampionships] = useState([]);
+  const [offset, setOffset] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [filters, setFilters] = useState({
+    from: '',
+    to: '',
+    prizeOnly: false,
+    maxSlots: '',
+    openOnly: false,
+  });
+
+  // Status changes restart paging from the first page. Reset here rather than
+  // in an effect, so the fetch below runs once with the new type and offset.
+  const changeType = (nextType) => {
+    setType(nextType);
+    setChampionships([]);
+    setOffset(0);
+    setExpandedId(null);
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    api.getChampionships(offset, TOURNAMENT_PAGE_SIZE, { type, signal: controller.signal })
+      .then(data => {
+        const items = (data.items || []).map(normalizeChampionship);
+        setChampionships(prev => (offset === 0 ? items : [...prev, ...items]));
+        setHasMore(items.length === TOURNAMENT_PAGE_SIZE);
+        setIsLoading(false);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setError(`Failed to load tournaments: ${err.message}`);
+        setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [api, type, offset]);
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const visible = championships.filter(c => {
+    if (filters.from && c.start && c.start < Date.parse(filters.from)) return false;
+    if (filters.to && c.start && c.start > Date.parse(filters.to) + 24 * 60 * 60 * 1000) return false;
+    if (filters.prizeOnly && !c.totalPrizes && c.prizePoints === 0) return false;
+    if (filters.maxSlots && c.slots > parseInt(filters.maxSlots)) return false;
+    if (filters.openOnly && c.slots > 0 && c.subscriptions >= c.slots) return false;
+    return true;
+  });
+
+  return (
+    <div className="explorer-panel">
+      <div className="tournament-filters">
+        <select className="season-select" value={type} onChange={(e) => changeType(e.target.value)}>
+          <option value="upcoming">Upcoming</option>
+          <option value="ongoing">Ongoing</option>
+          <option value="past">Past</option>
+          <option value="all">All</option>
+        </select>
+        <label>
+          From
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+        </label>
+        <select
+          className="season-select"
+          value={filters.maxSlots}
+          onChange={(e) => updateFilter('maxSlots', e.target.value)}
+        >
+          <option value="">Any size</option>
+          <option value="16">≤ 16 slots</option>
+          <option value="32">≤ 32 slots</option>
+          <option value="64">≤ 64 slots</option>
+          <option value="128">≤ 128 slots</option>
+          <option value="256">≤ 256 slots</option>
+        </select>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={filters.openOnly}
+            onChange={(e) => updateFilter('openOnly', e.target.checked)}
+          />
+          Open slots
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={filters.prizeOnly}
+            onChange={(e) => updateFilter('prizeOnly', e.target.checked)}
+          />
+          With prize
+        </label>
+      </div>
+
+      {error && <div className="url-error">{error}</div>}
+
+      <div className="tournament-list">
+        {visible.map(c => (
+          <div key={c.id} className={`tournament-item ${expandedId === c.id ? 'expanded' : ''}`}>
+            <div className="tournament-row" onClick={() => setExpandedId(expandedId === c.id ? null : c.id)}>
+              <span className={`expand-icon ${expandedId === c.id ? 'expanded' : ''}`}>
+                {expandedId === c.id ? '▼' : '▶'}
+              </span>
+              <span className="tournament-name">{c.name}</span>
+              <span className={`tournament-status status-${c.status}`}>{c.status.replace(/_/g, ' ')}</span>
+              <span className="tournament-date">
+                {c.start ? new Date(c.start).toLocaleString() : 'TBD'}
+              </span>
+              <span className="tournament-slots">{c.subscriptions}/{c.slots || '∞'}</span>
+              <span className="tournament-prize">
+                {c.totalPrizes || (c.prizePoints > 0 ? `${c.prizePoints} pts` : '-')}
+              </span>
+              <a
+                href={c.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="match-link"
+                onClick={(e) => e.stopPropagation()}
+              >
+                FACEIT ↗
+              </a>
+            </div>
+            {expandedId === c.id && (
+              <ChampionshipTeams api={api} championshipId={c.id} onSelectTeam={onSelectTeam} />
+            )}
+          </div>
+        ))}
+
+        {isLoading ? (
+          <div className="league-loading">Loading tournaments...</div>
+        ) : visible.length === 0 ? (
+          <div className="league-empty">No tournaments match these filters.</div>
+        ) : null}
+      </div>
+
+      {hasMore && !isLoading && (
+        <div className="pager">
+          <button className="map-tab" onClick={() => setOffset(offset + TOURNAMENT_PAGE_SIZE)}>
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const HUB_MEMBERS_PAGE_SIZE = 50;
+
+// Favourite hubs are kept in localStorage as [{ id, name, avatar }]
+const loadFavoriteHubs = () => {
+  try {
+    return JSON.parse(localStorage.getItem('faceit_favorite_hubs')) || [];
+  } catch (err) {
+    console.warn('Failed to load favorite hubs:', err);
+    return [];
+  }
+};
+
+// Hub Browser Component - hub leaderboard, members and locally saved favourites
+const HubBrowser = ({ api, onPlayerSelect }) => {
+  const [hubInput, setHubInput] = useState('');
+  const [hub, setHub] = useState(null);
+  const [leaderboard, setLeaderboard] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [membersOffset, setMembersOffset] = useState(0);
+  const [hasMoreMembers, setHasMoreMembers] = useState(false);
+  const [view, setView] = useState('leaderboard'); // 'leaderboard' | 'members'
+  const [favorites, setFavorites] = useState(loadFavoriteHubs);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const hubLoadRef = useRef(null); // AbortController of the hub being loaded
+
+  useEffect(() => {
+    localStorage.setItem('faceit_favorite_hubs', JSON.stringify(favorites));
+  }, [favorites]);
+
+  // Cancel the hub load when leaving the tab
+  useEffect(() => () => hubLoadRef.current?.abort(), []);
+
+  const loadHub = async (input) => {
+    const hubId = extractFaceitId(input);
+    if (!hubId) return;
+
+    // A newer load (or leaving the tab) cancels this one
+    hubLoadRef.current?.abort();
+    const controller = new AbortController();
+    hubLoadRef.current = controller;
+
+    // Clear the previous hub so none of its data shows under the new one
+    setHub(null);
+    setLeaderboard([]);
+    setMembers([]);
+    setMembersOffset(0);
+    setHasMoreMembers(false);
+    setIsLoading(true);
+    setError(null);
+    try {
+      const [hubData, statsData] = await Promise.all([
+        api.getHub(hubId, { signal: controller.signal }),
+        api.getHubStats(hubId, 100, { signal: controller.signal }).catch((err) => {
+          if (isAbortError(err)) throw err;
+          // Private hubs may hide their stats but still list members
+          console.warn('Failed to get hub stats:', err);
+          return null;
+        }),
+      ]);
+      if (controller.signal.aborted) return;
+      setHub({
+        id: hubData.hub_id || hubId,
+        name: hubData.name,
+        avatar: hubData.avatar,
+        organizer: hubData.organizer_name,
+        playersJoined: hubData.players_joined,
+        url: hubData.faceit_url
+          ? hubData.faceit_url.replace('{lang}', 'en')
+          : `https://www.faceit.com/en/hub/${hubId}`,
+      });
+      setLeaderboard(normalizeHubLeaderboard(statsData));
+      setHubInput(hubId);
+    } catch (err) {
+      if (controller.signal.aborted || isAbortError(err)) return;
+      setError(`Failed to load hub: ${err.message}`);
+    }
+    setIsLoading(false);
+  };
+
+  // Page through the hub's members
+  useEffect(() => {
+    if (!hub) return undefined;
+
+    const controller = new AbortController();
+    api.getHubMembers(hub.id, membersOffset, HUB_MEMBERS_PAGE_SIZE, { signal: controller.signal })
+      .then(data => {
+        const items = data.items || [];
+        setMembers(items.map(member => ({
+          id: member.user_id,
+          nickname: member.nickname,
+          avatar: member.avatar,
+          roles: member.roles || [],
+        })));
+        setHasMoreMembers(items.length === HUB_MEMBERS_PAGE_SIZE);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setError(`Failed to load hub members: ${err.message}`);
+      });
+
+    return () => controller.abort();
+  }, [api, hub, membersOffset]);
+
+  const isFavorite = hub && favorites.some(f => f.id === hub.id);
+
+  const toggleFavorite = () => {
+    if (!hub) return;
+    setFavorites(prev => (
+      prev.some(f => f.id === hub.id)
+        ? prev.filter(f => f.id !== hub.id)
+        : [...prev, { id: hub.id, name: hub.name, avatar: hub.avatar }]
+    ));
+  };
+
+  return (
+    <div className="explorer-panel">
+      <div className="league-selector">
+        <label htmlFor="hub-id-input">Hub</label>
+        <div className="hub-url-input">
+          <input
+            id="hub-id-input"
+            type="text"
+            placeholder="Paste a FACEIT hub ID or URL..."
+            value={hubInput}
+            onChange={(e) => setHubInput(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') loadHub(hubInput);
+            }}
+          />
+          <button
+            className="url-submit-btn"
+            onClick={() => loadHub(hubInput)}
+            disabled={!hubInput.trim() || isLoading}
+          >
+            {isLoading ? <span className="mini-spinner"></span> : 'Load'}
+          </button>
+        </div>
+        {error && <div className="url-error">{error}</div>}
+
+        {favorites.length > 0 && (
+          <div className="team-chip-list">
+            {favorites.map(favorite => (
+              <button
+                key={favorite.id}
+                className={`team-chip ${hub?.id === favorite.id ? 'active' : ''}`}
+                onClick={() => loadHub(favorite.id)}
+              >
+                ★ {favorite.name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {hub && (
+        <>
+          <div className="explorer-controls">
+            <span className="explorer-title">
+              {hub.name}
+              {hub.organizer && <span className="section-subtitle"> by {hub.organizer}</span>}
+            </span>
+            <div className="explorer-actions">
+              <button className="map-tab" onClick={toggleFavorite}>
+                {isFavorite ? '★ Saved' : '☆ Save hub'}
+              </button>
+              <a href={hub.url} target="_blank" rel="noopener noreferrer" className="match-link">
+                View on FACEIT ↗
+              </a>
+            </div>
+          </div>
+
+          <div className="map-tabs explorer-tabs">
+            <button
+              className={`map-tab ${view === 'leaderboard' ? 'active' : ''}`}
+              onClick={() => setView('leaderboard')}
+            >
+              Leaderboard
+            </button>
+            <button
+              className={`map-tab ${view === 'members' ? 'active' : ''}`}
+              onClick={() => setView('members')}
+            >
+              Members{hub.playersJoined ? ` (${hub.playersJoined})` : ''}
+            </button>
+          </div>
+
+          {view === 'leaderboard' && (
+            leaderboard.length > 0 ? (
+              <div className="standings-table">
+                <div className="standings-header hub-leaderboard-row">
+                  <span>#</span>
+                  <span>Player</span>
+                  <span>Matches</span>
+                  <span>Win%</span>
+                  <span>K/D</span>
+                  <span>HS%</span>
+                </div>
+                {leaderboard.map(row => (
+                  <div
+                    key={row.id || row.position}
+                    className={`standings-row hub-leaderboard-row ${row.id ? '' : 'static'}`}
+                    onClick={row.id ? () => onPlayerSelect(row) : undefined}
+                  >
+                    <span className="standings-pos">{row.position}</span>
+                    <span className="standings-team">{row.nickname}</span>
+                    <span>{row.matches}</span>
+                    <span>{row.winRate}%</span>
+                    <span><RatingBadge rating={row.kd} /></span>
+                    <span>{row.hs}%</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="league-empty">This hub has no public leaderboard.</div>
+            )
+          )}
+
+          {view === 'members' && (
+            <>
+              <div className="team-chip-list">
+                {members.map(member => (
+                  <button
+                    key={member.id}
+                    className="team-chip"
+                    onClick={() => onPlayerSelect(member)}
+                    title={`Open ${member.nickname}'s profile`}
+                  >
+                    {member.nickname}
+                    {member.roles.includes('owner') && <span className="leader-badge">★</span>}
+                  </button>
+                ))}
+              </div>
+              <div className="pager">
+                <button
+                  className="map-tab"
+                  onClick={() => setMembersOffset(Math.max(0, membersOffset - HUB_MEMBERS_PAGE_SIZE))}
+                  disabled={membersOffset === 0}
+                >
+                  ‹ Prev
+                </button>
+                <span className="pager-info">
+                  {members.length > 0 ? `${membersOffset + 1}-${membersOffset + members.length}` : '0'}
+                </span>
+                <button
+                  className="map-tab"
+                  onClick={() => setMembersOffset(membersOffset + HUB_MEMBERS_PAGE_SIZE)}
+                  disabled={!hasMoreMembers}
+                >
+                  Next ›
+                </button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      {!hub && !isLoading && favorites.length === 0 && (
+        <div className="league-empty">Paste a hub ID or URL and save the hubs you play in for quick access.</div>
+      )}
+    </div>
+  );
+};
+
+// Player Search Component
+const PlayerSearch = ({ api, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [showDropdown, setShowDropdown] = useState(false);
+
+  const handleSearch = useCallback(async (searchQuery) => {
+    if (searchQuery.length < 2) {
+      setResults([]);
+      return;
+    }
+    setIsSearching(true);
+
+    try {
+      const response = await api.searchPlayers(searchQuery, 20);
+      setResults((response.items || []).map(player => ({
+        id: player.player_id,
+        nickname: player.nickname,
+        avatar: player.avatar,
+        country: player.country,
+        skillLevel: (player.games || []).find(g => g.name === GAME_ID)?.skill_level || 0,
+      })));
+    } catch (error) {
+      console.error('Player search error:', error);
+      setResults([]);
+    }
+
+    setIsSearching(false);
+  }, [api]);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => handleSearch(query), 300);
+    return () => clearTimeout(timeout);
+  }, [query, handleSearch]);
+
+  return (
+    <div className="team-search">
+      <label>Search Player</label>
+      <div className="search-input-wrapper">
+        <input
+          type="text"
+          placeholder="Search player nickname..."
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setShowDropdown(true);
+          }}
+          onFocus={() => setShowDropdown(true)}
+        />
+      </div>
+      {showDropdown && (
+        <div className="search-dropdown">
+          {isSearching ? (
+            <div className="search-loading">Searching...</div>
+          ) : results.length > 0 ? (
+            results.map(player => (
+              <div
+                key={player.id}
+                className="search-result"
+                onClick={() => { onSelect(player); setShowDropdown(false); }}
+              >
+                <span className="result-name">{player.nickname}</span>
+                {player.skillLevel > 0 && <SkillLevelBadge level={player.skillLevel} />}
+                <span className="result-tag">{player.country?.toUpperCase()}</span>
+              </div>
+            ))
+          ) : query.length >= 2 ? (
+            <div className="no-results">No players found</div>
+          ) : (
+            <div className="search-hint">Type at least 2 characters</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PLAYER_RECENT_MATCHES = 20;
+
+// Player Profile Component - ELO, lifetime stats, per-map table and recent matches
+const PlayerProfile = ({ api, playerId }) => {
+  const [player, setPlayer] = useState(null);
+  const [recentMatches, setRecentMatches] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    setIsLoading(true);
+    setError(null);
+
+    Promise.all([
+      api.getPlayer(playerId, { signal }),
+      api.getPlayerStats(playerId, { signal }).catch(err => {
+        if (isAbortError(err)) throw err;
+        // Players who never played CS2 have no stats
+        return {};
+      }),
+      api.getPlayerHistory(playerId, { limit: PLAYER_RECENT_MATCHES, signal }).catch(err => {
+        if (isAbortError(err)) throw err;
+        return { items: [] };
+      }),
+    ])
+      .then(([playerData, statsData, history]) => {
+        setPlayer(transformPlayerStats(playerData, statsData));
+        setRecentMatches((history.items || []).map(item => transformPlayerHistoryItem(item, playerId)));
+        setIsLoading(false);
+      })
+      .catch(err => {
+        if (isAbortError(err)) return;
+        setError(`Failed to load player: ${err.message}`);
+        setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [api, playerId]);
+
+  if (isLoading) return <LoadingSpinner />;
+  if (error) return <div className="url-error">{error}</div>;
+  if (!player) return null;
+
+  const mapEntries = Object.entries(player.mapStats).sort((a, b) => b[1].matches - a[1].matches);
+
+  return (
+    <div className="team-card team-a player-profile">
+      <div className="team-header">
+        <div className="team-logo">
+          {player.avatar ? <img src={player.avatar} alt={player.nickname} /> : '👤'}
+        </div>
+        <div className="team-info">
+          <h2>{player.nickname}</h2>
+          <span className="team-tag">{player.country?.toUpperCase()}</span>
+          <a
+            href={`https://www.faceit.com/en/players/${player.nickname}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="faceit-link"
+          >
+            View on FACEIT ↗
+          </a>
+        </div>
+      </div>
+
+      <div className="overview-stats">
+        <div className="overview-stat">
+          <span className="stat-label">ELO</span>
+          <span className="stat-value">{player.elo}</span>
+          <span className="stat-subtext"><SkillLevelBadge level={player.skillLevel} /></span>
+        </div>
+        <div className="stat-divider"></div>
+        <div className="overview-stat">
+          <span className="stat-label">Matches</span>
+          <span className="stat-value">{player.lifetime.matches}</span>
+          <span className="stat-subtext">{player.lifetime.wins} wins</span>
+        </div>
+        <div className="stat-divider"></div>
+        <div className="overview-stat">
+          <span className="stat-label">Win Rate</span>
+          <span className="stat-value">{player.lifetime.winRate}%</span>
+          <span className="stat-subtext">Lifetime</span>
+        </div>
+        <div className="stat-divider"></div>
+        <div className="overview-stat">
+          <span className="stat-label">K/D</span>
+          <span className="stat-value"><RatingBadge rating={player.lifetime.kd} /></span>
+          <span className="stat-subtext">K/R {player.lifetime.kpr}</span>
+        </div>
+        <div className="stat-divider"></div>
+        <div className="overview-stat">
+          <span className="stat-label">Headshots</span>
+          <span className="stat-value">{player.lifetime.hs}%</span>
+          <span className="stat-subtext">Average</span>
+        </div>
+      </div>
+
+      <div className="section-title">Map Performance</div>
+      <div className="roster-table">
+        <div className="roster-header">
+          <span>Map</span>
+          <span>Matches</span>
+          <span>K/D</span>
+          <span>HS%</span>
+          <span>Win%</span>
+        </div>
+        {mapEntries.length > 0 ? mapEntries.map(([mapName, stats]) => (
+          <div key={mapName} className="roster-row">
+            <span className="player-name">{mapName}</span>
+            <span>{stats.matches}</span>
+            <span><RatingBadge rating={stats.kd} /></span>
+            <span>{stats.hs}%</span>
+            <span>{stats.winRate}%</span>
+          </div>
+        )) : (
+          <div className="roster-empty">No map stats available.</div>
+        )}
+      </div>
+
+      <div className="section-title">Recent Matches</div>
+      {recentMatches.length > 0 ? (
+        <div className="recent-matches">
+          {recentMatches.map(match => (
+            <div key={match.matchId} className="match-row">
+              <MatchResult result={match.result} score={match.score} />
+              <span className="match-opponent">vs {match.opponent}</span>
+              <span className="match-date">{match.competition} · {match.date}</span>
+              <a
+                href={`https://www.faceit.com/en/cs2/room/${match.matchId}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="match-link"
+              >
+                View Match ↗
+              </a>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="no-data">No recent matches.</div>
+      )}
+    </div>
+  );
+};
+
+// Cache Controls Component - inspect and wipe the persistent response cache
+const CacheControls = ({ cache }) => {
+  const [stats, setStats] = useState(null);
+  const [isClearing, setIsClearing] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      setStats(await cache.getStats());
+    } catch (err) {
+      console.warn('Failed to read cache stats:', err);
+    }
+  }, [cache]);
+
+  // The cache reports its own writes, so the summary stays current without polling
+  useEffect(() => {
+    refresh();
+    return cache.subscribe?.(refresh);
+  }, [cache, refresh]);
+
+  const handleClear = async () => {
+    setIsClearing(true);
+    try {
+      await cache.clear();
+    } catch (err) {
+      console.warn('Failed to clear cache:', err);
+    }
+    await refresh();
+    setIsClearing(false);
+  };
+
+  if (!stats) return null;
+
+  const sizeMb = (stats.bytes / (1024 * 1024)).toFixed(1);
+
+  return (
+    <div className="cache-controls">
+      <Tooltip
+        content={
+          <div className="player-tooltip">
+            <div>Finished matches: {stats.immutable}</div>
+            <div>Expired: {stats.expired}</div>
+            <div>{stats.persistent ? 'Stored in IndexedDB' : 'In-memory only'}</div>
+          </div>
+        }
+      >
+        <span className="cache-summary">
+          Cache: {stats.entries} responses ({sizeMb} MB)
+        </span>
+      </Tooltip>
+      <button
+        className="cache-clear-btn"
+        onClick={handleClear}
+        disabled={isClearing || stats.entries === 0}
+      >
+        {isClearing ? 'Clearing...' : 'Clear cache'}
+      </button>
+    </div>
+  );
+};
+
 // ============================================================================
 // MAIN APP COMPONENT
 // ============================================================================
 
+// Which matches the season filter keeps: the season's own matches (see
+// isSeasonMatch: a previous season's late playoffs are left out), or everything
+// played in its window
+const SEASON_SCOPES = [
+  { id: 'season', label: 'Season matches' },
+  { id: 'window', label: 'All matches in window' },
+];
+
 export default function FACEITTeamCompare() {
   const [apiKey, setApiKey] = useState('');
   const [apiKeyStatus, setApiKeyStatus] = useState(null); // null, 'valid', 'invalid'
+  const [serverKey, setServerKey] = useState(false); // Proxy injects its own key
   const [teamA, setTeamA] = useState(null);
+  const [teamB, setTeamB] = useState(null); // Optional opponent for head-to-head
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [selectedSeason, setSelectedSeason] = useState('S56'); // Season filter
+  const [selectedSeason, setSelectedSeason] = useState(SEASONS[0].id); // Season filter
+  const [seasonScope, setSeasonScope] = useState('season'); // One of SEASON_SCOPES
   const [headerCollapsed, setHeaderCollapsed] = useState(false); // Collapsible header
   const [activeSection, setActiveSection] = useState('compare'); // Active tab section
+  const [selectedPlayerId, setSelectedPlayerId] = useState(null); // Player profile page
 
-  // Load cached teams from localStorage on mount
   // Load cached teams from localStorage on mount
   useEffect(() => {
     try {
       const cachedTeamA = localStorage.getItem('faceit_team_a');
+      const cachedTeamB = localStorage.getItem('faceit_team_b');
 
       if (cachedTeamA) {
         setTeamA(JSON.parse(cachedTeamA));
       }
+      if (cachedTeamB) {
+        setTeamB(JSON.parse(cachedTeamB));
+      }
     } catch (err) {
       console.warn('Failed to load cached teams:', err);
     }
@@ -1201,6 +3781,14 @@ export default function FACEITTeamCompare() {
     }
   }, [teamA]);
 
+  useEffect(() => {
+    if (teamB) {
+      localStorage.setItem('faceit_team_b', JSON.stringify(teamB));
+    } else {
+      localStorage.removeItem('faceit_team_b');
+    }
+  }, [teamB]);
+
 
 
   // Verify API key
@@ -1228,13 +3816,27 @@ export default function FACEITTeamCompare() {
     }
   }, [handleVerifyApiKey]);
 
-  // Create API instance when key changes
+  // Detect a server-side key: an unauthenticated request only succeeds when
+  // the proxy injects one
+  useEffect(() => {
+    const controller = new AbortController();
+    createFaceitAPI(null).verifyApiKey({ signal: controller.signal })
+      .then(result => {
+        if (!controller.signal.aborted) setServerKey(result.valid);
+      });
+    return () => controller.abort();
+  }, []);
+
+  // Create API instance when key changes. A verified user key overrides the server key.
   const api = useMemo(() => {
     if (apiKey && apiKeyStatus === 'valid') {
       return createFaceitAPI(apiKey);
     }
+    if (serverKey) {
+      return createFaceitAPI(null);
+    }
     return null;
-  }, [apiKey, apiKeyStatus]);
+  }, [apiKey, apiKeyStatus, serverKey]);
 
   // Reset status when key changes
   useEffect(() => {
@@ -1244,15 +3846,32 @@ export default function FACEITTeamCompare() {
     }
   }, [apiKey]);
 
-  // Handle team selection and fetch full team data
+  // In-flight team loads, keyed by the state setter they will write to
+  const teamLoadsRef = useRef(new Map());
+
+  // Cancel any in-flight loads when the app unmounts
+  useEffect(() => {
+    const loads = teamLoadsRef.current;
+    return () => loads.forEach(controller => controller.abort());
+  }, []);
+
+  // Handle team selection and fetch full team data for the selected season
   const handleTeamSelect = useCallback(async (team, setTeam) => {
+    // A new selection (or clearing it) makes any previous load for this slot stale
+    const previousLoad = teamLoadsRef.current.get(setTeam);
+    if (previousLoad) {
+      previousLoad.abort();
+      teamLoadsRef.current.delete(setTeam);
+      setLoading(teamLoadsRef.current.size > 0);
+    }
+
     if (!team) {
       setTeam(null);
       return;
     }
 
-    // If team is from sample data or already has full data, just set it
-    if (team.roster && team.mapStats && team.vetoStats) {
+    // Sample teams cover every season; loaded teams only the season they were fetched for
+    if (team.roster && team.mapStats && team.vetoStats && (team.isSample || team.season === selectedSeason)) {
       setTeam(team);
       return;
     }
@@ -1263,255 +3882,117 @@ export default function FACEITTeamCompare() {
       return;
     }
 
+    const controller = new AbortController();
+    const { signal } = controller;
+    teamLoadsRef.current.set(setTeam, controller);
+
     setLoading(true);
     setError(null);
 
     try {
-      const teamDetails = await api.getTeam(team.id);
-      const teamStats = await api.getTeamStats(team.id);
-
-      // Fetch stats for all team members
-      const memberStatsPromises = teamDetails.members.map(member =>
-        api.getPlayerStats(member.user_id).catch(() => ({}))
-      );
-
-      // Fetch player details for all team members (to get skill level/ELO)
-      const memberDetailsPromises = teamDetails.members.map(member =>
-        api.getPlayer(member.user_id).catch(() => ({}))
-      );
-
-      const [memberStatsArray, memberDetailsArray] = await Promise.all([
-        Promise.all(memberStatsPromises),
-        Promise.all(memberDetailsPromises)
-      ]);
-
-      const memberStats = {};
-      teamDetails.members.forEach((member, idx) => {
-        memberStats[member.user_id] = memberStatsArray[idx];
-
-        // Merge detailed player info (skill level, elo) into the member object
-        const details = memberDetailsArray[idx];
-        if (details && details.games && details.games[GAME_ID]) {
-          member.skill_level = details.games[GAME_ID].skill_level;
-          member.faceit_elo = details.games[GAME_ID].faceit_elo;
-        }
-      });
-
-      const fullTeamData = transformTeamData(teamDetails, teamStats, memberStats);
-
-      // Fetch match history from ALL team members to get comprehensive match data
-      try {
-        const allMatchIds = new Set(); // Track unique match IDs
-
-        // Fetch match history for each team member
-        const memberHistoryPromises = teamDetails.members.map(async (member) => {
-          try {
-            const matchHistory = await api.getPlayerHistory(member.user_id, 100);
-            console.log(`Fetched ${matchHistory.items?.length || 0} matches for member ${member.nickname || member.user_id}`);
-            return matchHistory.items || [];
-          } catch (err) {
-            console.warn(`Failed to fetch history for member ${member.user_id}:`, err);
-            return [];
-          }
-        });
-
-        const allMemberHistories = await Promise.all(memberHistoryPromises);
-
-        // Combine and deduplicate matches from all members (no time filter, we'll filter by season)
-        const seenMatches = new Set();
-        allMemberHistories.forEach(memberMatches => {
-          memberMatches.forEach(match => {
-            if (!seenMatches.has(match.match_id)) {
-              seenMatches.add(match.match_id);
-              allMatchIds.add(match.match_id);
-            }
-          });
-        });
-
-        console.log(`Found ${allMatchIds.size} unique matches across all team members`);
-
-        // Track statistics
-        let stats = { total: allMatchIds.size, success: 0, error404: 0, otherError: 0, filtered: 0 };
-
-        // Fetch match details for each unique match
-        const matchDetailsPromises = Array.from(allMatchIds).map(async (matchId) => {
-          try {
-            // Get both match overview and detailed stats
-            const [matchData, matchStats] = await Promise.all([
-              api.getMatch(matchId),
-              api.getMatchStats(matchId)
-            ]);
-            stats.success++;
-
-            // Debug: Log the full match data structure for first match
-            if (stats.success === 1) {
-              console.log('=== SAMPLE MATCH DATA ===');
-              console.log('Full matchData:', JSON.stringify(matchData, null, 2));
-              console.log('Voting data:', matchData.voting);
-              console.log('========================');
-            }
-
-            // Extract team info from getMatch response
-            const teams = matchData.teams || {};
-            const faction1 = teams.faction1 || Object.values(teams)[0];
-            const faction2 = teams.faction2 || Object.values(teams)[1];
-
-            if (!faction1 || !faction2) {
-              return null; // Skip if no teams found
-            }
-
-            const teamLookup = {};
-            if (faction1.team_id) {
-              teamLookup[faction1.team_id] = faction1.name;
-            }
-            if (faction2.team_id) {
-              teamLookup[faction2.team_id] = faction2.name;
-            }
-
-            const vetoes = extractVetoesFromVoting(matchData.voting, teamLookup);
-
-            // Find which faction is our team based on team name
-            let opponentFaction = null;
-
-            if (faction1.name === teamDetails.name) {
-              opponentFaction = faction2;
-            } else if (faction2.name === teamDetails.name) {
-              opponentFaction = faction1;
-            } else {
-              // Team name doesn't match - this is a pug or individual match, skip it
-              stats.filtered++;
-              return null;
-            }
-
-            // Use matchStats to get actual round data
-            const opponent = opponentFaction.name || 'Unknown';
-            const matchTimestamp = matchData.started_at || matchData.finished_at || Date.now() / 1000;
-            const championship_name = matchData.competition_name || '';
-            const teamPlayerIds = getTeamPlayerIdsFromMatchStats(
-              matchStats,
-              teamDetails.team_id,
-              teamDetails.name
-            );
+      // Only the selected season's history is fetched
+      const { from, to } = getSeasonSpan([SEASONS.find(season => season.id === selectedSeason)], SEASONS);
 
-            // matchStats.rounds contains the actual map data with round scores
-            const rounds = matchStats.rounds || [];
-
-            // Debug: Log first match to understand structure
-            if (stats.success === 1) {
-              console.log('Match stats structure:', {
-                roundsCount: rounds.length,
-                hasRounds: rounds.length > 0,
-                firstRound: rounds[0] ? {
-                  hasRoundStats: !!rounds[0].round_stats,
-                  hasTeams: !!rounds[0].teams,
-                  mapName: rounds[0].round_stats?.Map
-                } : null
-              });
-            }
-
-            // Process each round (map) in the match
-            if (rounds.length > 0) {
-              console.log(`Processing match ${matchId} with ${rounds.length} rounds`);
-
-              return rounds.map((round, roundIndex) => {
-                const roundStats = round.round_stats || {};
-                const teams = round.teams || [];
-
-                // Find our team and opponent in this round
-                const playerTeam = teams.find(t => t.team_id === teamDetails.team_id);
-                const opponentTeam = teams.find(t => t.team_id !== teamDetails.team_id);
-
-                if (!playerTeam || !opponentTeam) {
-                  console.warn(`Could not find teams in round ${roundIndex} of match ${matchId}`);
-                  return null;
-                }
-
-                // Get actual round scores (e.g., 13-7, not 1-0)
-                const playerScore = parseInt(playerTeam.team_stats?.['Final Score']) || 0;
-                const opponentScore = parseInt(opponentTeam.team_stats?.['Final Score']) || 0;
-                const result = playerScore > opponentScore ? 'W' : 'L';
-
-                // Get map name from round_stats
-                const rawMap = roundStats.Map ||
-                  roundStats.map ||
-                  'Unknown';
-
-                console.log(`  Round ${roundIndex + 1}: ${rawMap} - ${result} ${playerScore}-${opponentScore}`);
-
-                return {
-                  matchId: rounds.length > 1 ? `${matchId}-map${roundIndex}` : matchId,
-                  originalMatchId: matchId,
-                  map: rawMap,
-                  result,
-                  score: `${playerScore}-${opponentScore}`,
-                  date: new Date(matchTimestamp * 1000).toLocaleDateString(),
-                  opponent,
-                  championship_name,
-                  isBO3Map: rounds.length > 1,
-                  mapNumber: roundIndex + 1,
-                  playerIds: teamPlayerIds,
-                  vetoes,
-                };
-              }).filter(map => map !== null && map.map !== 'Unknown');
-            }
-
-            // Fallback: if no rounds data, skip this match
-            console.warn(`No rounds data for match ${matchId}`);
-            return null;
-          } catch (err) {
-            // Track error types
-            if (err.status === 404) {
-              stats.error404++;
-            } else {
-              stats.otherError++;
-              console.warn('Error processing match:', matchId, err);
-            }
-            return null;
+      // Build the report on the server when configured, otherwise (or if that
+      // fails) run the same pipeline here against the API client
+      let report = null;
+      if (TEAM_REPORT_MODE === 'server') {
+        try {
+          report = await api.getTeamReport(team.id, { from, to, signal });
+          // Out of time on the server; the browser picks up from the warmed caches
+          if (report.loadStats?.timedOut) {
+            console.warn('Server team report ran out of time, building it in the browser');
+            report = null;
           }
-        });
-
-        // Flatten results since BO3 matches return arrays, filter out nulls
-        const matchDetails = (await Promise.all(matchDetailsPromises))
-          .filter(m => m !== null)
-          .flat(); // Flatten arrays from BO3 matches
-        stats.filtered = stats.success - matchDetails.length;
+        } catch (err) {
+          // Out of budget, the browser pipeline would only hit the same limit
+          if (isAbortError(err) || err.rateLimit) throw err;
+          console.warn('Server team report failed, building it in the browser:', err);
+        }
+      }
+      if (!report) {
+        report = await buildTeamReport(api, team.id, { from, to, signal });
+      }
 
-        console.log('Match processing stats:', stats);
-        console.log(`Successfully processed ${matchDetails.length} matches`);
+      // Never let a cancelled load overwrite the newer selection
+      if (signal.aborted) return;
 
-        // Store ALL matches (unfiltered) for season filtering
-        fullTeamData.allMatches = matchDetails;
-        fullTeamData.vetoStats = computeVetoStats(matchDetails, fullTeamData.id, fullTeamData.name);
+      const { team: fullTeamData, loadStats } = report;
+      console.log('Match processing stats:', loadStats);
 
-        console.log('All matches stored:', matchDetails.length);
-      } catch (err) {
-        console.warn('Failed to fetch match history:', err);
+      // Matches that still failed after retries, or history that was cut short,
+      // would skew map win rates, so say so
+      const warnings = [];
+      if (loadStats.rateLimit) {
+        warnings.push(`${describeRateLimit(loadStats.rateLimit)} ${loadStats.otherError} of ${loadStats.total} matches for ${fullTeamData.name} were skipped; map stats may be incomplete.`);
+      } else if (loadStats.otherError > 0) {
+        warnings.push(`${loadStats.otherError} of ${loadStats.total} matches for ${fullTeamData.name} could not be loaded; map stats may be incomplete.`);
+      }
+      if (loadStats.truncatedHistories > 0) {
+        warnings.push(`Match history for ${loadStats.truncatedHistories} ${fullTeamData.name} player(s) stopped after ${HISTORY_MAX_PAGES} pages; the start of ${selectedSeason} may be missing.`);
       }
+      if (warnings.length > 0) setError(warnings.join(' '));
 
-      setTeam(fullTeamData);
+      setTeam({ ...fullTeamData, season: selectedSeason });
     } catch (err) {
+      if (signal.aborted || isAbortError(err)) return;
+
       console.error('Error fetching team data:', err);
-      setError(`Failed to fetch data for ${team.name}: ${err.message}`);
+      setError(err.rateLimit ? err.message : `Failed to fetch data for ${team.name}: ${err.message}`);
       // Still set the basic team data
       setTeam(team);
     } finally {
-      setLoading(false);
+      // Only the latest load for this slot may clear it; the other slot may still be loading
+      if (teamLoadsRef.current.get(setTeam) === controller) {
+        teamLoadsRef.current.delete(setTeam);
+        setLoading(teamLoadsRef.current.size > 0);
+      }
     }
-  }, [api]);
+  }, [api, selectedSeason]);
+
+  // Loaded teams only hold the season they were fetched for, so switching
+  // seasons refetches them (unless that slot is already loading)
+  useEffect(() => {
+    if (!api) return;
+    [[teamA, setTeamA], [teamB, setTeamB]].forEach(([team, setTeam]) => {
+      const stale = team?.roster && !team.isSample && team.season !== selectedSeason;
+      if (stale && !teamLoadsRef.current.has(setTeam)) {
+        handleTeamSelect(team, setTeam);
+      }
+    });
+  }, [api, selectedSeason, teamA, teamB, handleTeamSelect]);
+
+  // Sections that work without a selected team
+  const isBrowseSection = BROWSE_SECTIONS.includes(activeSection);
+
+  // Open a player's profile page (from search, a roster or a hub)
+  const handlePlayerSelect = useCallback((player) => {
+    if (!player?.id) return;
+    setSelectedPlayerId(player.id);
+    setActiveSection('players');
+  }, []);
+
+  // Open a team picked from one of the browse views (league, tournaments, ...) in the team analysis
+  const handleBrowseTeamSelect = useCallback((team) => {
+    if (!team?.id) return;
+    setActiveSection('compare');
+    handleTeamSelect(team, setTeamA);
+  }, [handleTeamSelect]);
 
   // Filter team data by selected season and recalculate stats
-  const filterBySeason = useCallback((teamData, season) => {
+  const filterBySeason = useCallback((teamData, season, scope) => {
     if (!teamData || !teamData.allMatches) return teamData;
 
     // Clone the team data
     const filtered = JSON.parse(JSON.stringify(teamData));
 
-    // Filter matches by season (championship_name contains "S52", "S53", etc.)
-    const seasonMatches = teamData.allMatches.filter(match =>
-      match.championship_name && match.championship_name.includes(season)
-    );
+    // Assign matches by the season calendar (SEASONS, under API configuration)
+    const seasonInfo = SEASONS.find(s => s.id === season);
+    const seasonMatches = teamData.allMatches.filter(match => (scope === 'window'
+      ? isInSeasonWindow(match.timestamp, seasonInfo, SEASONS)
+      : isSeasonMatch(match, seasonInfo, SEASONS)));
 
-    console.log(`Filtered to ${seasonMatches.length} matches for ${season}`);
+    console.log(`Filtered to ${seasonMatches.length} matches for ${season} (${scope})`);
 
     const activePlayerIds = new Set();
     seasonMatches.forEach(match => {
@@ -1604,7 +4085,17 @@ export default function FACEITTeamCompare() {
   }, []);
 
   // Apply season filter to teams
-  const filteredTeamA = useMemo(() => filterBySeason(teamA, selectedSeason), [teamA, selectedSeason, filterBySeason]);
+  const filteredTeamA = useMemo(
+    () => filterBySeason(teamA, selectedSeason, seasonScope),
+    [teamA, selectedSeason, seasonScope, filterBySeason],
+  );
+  const filteredTeamB = useMemo(
+    () => filterBySeason(teamB, selectedSeason, seasonScope),
+    [teamB, selectedSeason, seasonScope, filterBySeason],
+  );
+
+  // Head-to-head needs a team to compare against
+  const headToHead = Boolean(filteredTeamA && filteredTeamB);
 
 
   return (
@@ -1648,6 +4139,7 @@ export default function FACEITTeamCompare() {
             setApiKey={setApiKey}
             onVerify={handleVerifyApiKey}
             verificationStatus={apiKeyStatus}
+            serverKey={serverKey}
           />
         </div>
 
@@ -1664,9 +4156,21 @@ export default function FACEITTeamCompare() {
             label="Select Team"
             selectedTeam={teamA}
             onSelect={(team) => handleTeamSelect(team, setTeamA)}
-            excludeId={null}
+            excludeId={teamB?.id}
             api={api}
           />
+          {teamA && (
+            <>
+              <div className="vs-indicator">VS</div>
+              <TeamSearch
+                label="Compare With (optional)"
+                selectedTeam={teamB}
+                onSelect={(team) => handleTeamSelect(team, setTeamB)}
+                excludeId={teamA.id}
+                api={api}
+              />
+            </>
+          )}
         </div>
 
         {/* Season Selector */}
@@ -1679,14 +4183,27 @@ export default function FACEITTeamCompare() {
               onChange={(e) => setSelectedSeason(e.target.value)}
               className="season-select"
             >
-              <option value="S56">Season 56</option>
-              <option value="S55">Season 55</option>
-              <option value="S54">Season 54</option>
-              <option value="S53">Season 53</option>
-              <option value="S52">Season 52</option>
+              {SEASONS.map(season => (
+                <option key={season.id} value={season.id}>{season.name}</option>
+              ))}
+            </select>
+            <select
+              aria-label="Matches to include"
+              value={seasonScope}
+              onChange={(e) => setSeasonScope(e.target.value)}
+              className="season-select"
+            >
+              {SEASON_SCOPES.map(scope => (
+                <option key={scope.id} value={scope.id}>{scope.label}</option>
+              ))}
             </select>
           </div>
         )}
+        {filteredTeamA && isCalendarOutdated(SEASONS) && (
+          <div className="season-note">
+            The season calendar ends with {SEASONS[0].name} ({SEASONS[0].end}, plus {SEASON_GRACE_DAYS} days' grace). Newer matches are left out of every season until the calendar is updated.
+          </div>
+        )}
       </header>
 
       {error && (
@@ -1696,30 +4213,141 @@ export default function FACEITTeamCompare() {
         </div>
       )}
 
-      {loading ? (
+      {loading && !isBrowseSection ? (
         <LoadingSpinner />
-      ) : filteredTeamA ? (
+      ) : filteredTeamA || (api && isBrowseSection) ? (
         <>
           <nav className="section-nav">
             <button
               className={activeSection === 'compare' ? 'active' : ''}
               onClick={() => setActiveSection('compare')}
+              disabled={!filteredTeamA}
             >
               Team Overview
             </button>
             <button
               className={activeSection === 'maps' ? 'active' : ''}
               onClick={() => setActiveSection('maps')}
+              disabled={!filteredTeamA}
             >
               Map Stats
             </button>
+            {api && (
+              <button
+                className={activeSection === 'league' ? 'active' : ''}
+                onClick={() => setActiveSection('league')}
+              >
+                League
+              </button>
+            )}
+            {api && (
+              <button
+                className={activeSection === 'tournaments' ? 'active' : ''}
+                onClick={() => setActiveSection('tournaments')}
+              >
+                Tournaments
+              </button>
+            )}
+            {api && (
+              <button
+                className={activeSection === 'hubs' ? 'active' : ''}
+                onClick={() => setActiveSection('hubs')}
+              >
+                Hubs
+              </button>
+            )}
+            {api && (
+              <button
+                className={activeSection === 'players' ? 'active' : ''}
+                onClick={() => setActiveSection('players')}
+              >
+                Players
+              </button>
+            )}
           </nav>
 
           <main className="main-content">
-            {activeSection === 'compare' && (
+            {activeSection === 'league' && api && (
+              <section className="league-section">
+                <div className="section-header">
+                  <h2>League Explorer</h2>
+                  <p>Seasons, divisions and standings - click a team to analyze it</p>
+                </div>
+                <LeagueExplorer api={api} onSelectTeam={handleBrowseTeamSelect} />
+              </section>
+            )}
+
+            {activeSection === 'tournaments' && api && (
+              <section className="tournaments-section">
+                <div className="section-header">
+                  <h2>Tournaments</h2>
+                  <p>CS2 championships and their registered teams - click a team to analyze it</p>
+                </div>
+                <TournamentBrowser api={api} onSelectTeam={handleBrowseTeamSelect} />
+              </section>
+            )}
+
+            {activeSection === 'hubs' && api && (
+              <section className="hubs-section">
+                <div className="section-header">
+                  <h2>Hubs</h2>
+                  <p>Hub leaderboards and members - save the hubs you play in</p>
+                </div>
+                <HubBrowser api={api} onPlayerSelect={handlePlayerSelect} />
+              </section>
+            )}
+
+            {activeSection === 'players' && api && (
+              <section className="players-section">
+                <div className="section-header">
+                  <h2>Players</h2>
+                  <p>Look up any player's ELO, lifetime stats, maps and recent matches</p>
+                </div>
+                <div className="explorer-panel">
+                  <PlayerSearch api={api} onSelect={handlePlayerSelect} />
+                </div>
+                {selectedPlayerId && <PlayerProfile api={api} playerId={selectedPlayerId} />}
+              </section>
+            )}
+
+            {activeSection === 'compare' && headToHead && (
+              <section className="h2h-section">
+                <div className="teams-grid">
+                  <TeamCard
+                    team={filteredTeamA}
+                    side="team-a"
+                    selectedSeason={selectedSeason}
+                    onPlayerSelect={api ? handlePlayerSelect : undefined}
+                  />
+                  <TeamCard
+                    team={filteredTeamB}
+                    side="team-b"
+                    selectedSeason={selectedSeason}
+                    onPlayerSelect={api ? handlePlayerSelect : undefined}
+                  />
+                </div>
+
+                <div className="at-a-glance-section">
+                  <HeadToHeadGlance teamA={filteredTeamA} teamB={filteredTeamB} />
+                </div>
+
+                <HeadToHeadMaps teamA={filteredTeamA} teamB={filteredTeamB} />
+
+                <VetoPredictionPanel teamA={filteredTeamA} teamB={filteredTeamB} />
+
+                <VetoSimulator teamA={filteredTeamA} teamB={filteredTeamB} />
+              </section>
+            )}
+
+            {activeSection === 'compare' && !headToHead && (
               <section className="single-team-section">
                 <div className="unified-team-card">
-                  <TeamCard team={filteredTeamA} side="team-a" selectedSeason={selectedSeason} />
+                  <TeamCard
+                    team={filteredTeamA}
+                    side="team-a"
+                    selectedSeason={selectedSeason}
+                    onPlayerSelect={api ? handlePlayerSelect : undefined}
+                  />
 
                   <div className="overview-divider"></div>
 
@@ -1771,13 +4399,20 @@ export default function FACEITTeamCompare() {
               <section className="maps-section">
                 <div className="section-header">
                   <h2>Map Stats Dashboard</h2>
-                  <p>Detailed per-map performance analysis</p>
+                  <p>
+                    {headToHead
+                      ? `${filteredTeamA.name} vs ${filteredTeamB.name}, map by map`
+                      : 'Detailed per-map performance analysis'}
+                  </p>
                 </div>
                 <MapStatsDashboard
                   teamA={filteredTeamA}
-                  teamB={null}
-                  singleMode={true}
+                  teamB={headToHead ? filteredTeamB : null}
                 />
+                <div className={headToHead ? 'teams-grid veto-order-grid' : 'veto-order-grid'}>
+                  <VetoOrderPanel team={filteredTeamA} side="team-a" />
+                  {headToHead && <VetoOrderPanel team={filteredTeamB} side="team-b" />}
+                </div>
               </section>
             )}
           </main>
@@ -1787,6 +4422,35 @@ export default function FACEITTeamCompare() {
           <div className="empty-icon">🛡️</div>
           <h2>Select a Team</h2>
           <p>Search and select a team to begin analysis</p>
+          {!api && (
+            <div className="empty-actions">
+              {Object.values(SAMPLE_TEAMS).map(sample => (
+                <button
+                  key={sample.id}
+                  className="team-chip"
+                  onClick={() => handleTeamSelect(sample, setTeamA)}
+                >
+                  {sample.name} [{sample.tag}]
+                </button>
+              ))}
+            </div>
+          )}
+          {api && (
+            <div className="empty-actions">
+              <button className="url-submit-btn" onClick={() => setActiveSection('league')}>
+                Browse a league
+              </button>
+              <button className="url-submit-btn" onClick={() => setActiveSection('tournaments')}>
+                Browse tournaments
+              </button>
+              <button className="url-submit-btn" onClick={() => setActiveSection('hubs')}>
+                Browse hubs
+              </button>
+              <button className="url-submit-btn" onClick={() => setActiveSection('players')}>
+                Find a player
+              </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -1804,6 +4468,7 @@ export default function FACEITTeamCompare() {
             </svg>
             Contribute on GitHub
           </a>
+          <CacheControls cache={responseCache} />
         </div>
       </footer>
 
@@ -1834,7 +4499,8 @@ export default function FACEITTeamCompare() {
           --team-a: #ff6b6b;
           --team-a-dim: rgba(255, 107, 107, 0.15);
           
-
+          --team-b: #4ecdc4;
+          --team-b-dim: rgba(78, 205, 196, 0.15);
           
           --win: #4ade80;
           --loss: #f87171;
@@ -2309,6 +4975,29 @@ export default function FACEITTeamCompare() {
           text-decoration: none;
         }
 
+        .server-key-notice {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 12px;
+          color: var(--text-secondary);
+        }
+
+        .own-key-btn {
+          margin-left: auto;
+          padding: 4px 10px;
+          background: transparent;
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-sm);
+          font-size: 11px;
+          color: var(--faceit-orange);
+          cursor: pointer;
+        }
+
+        .own-key-btn:hover {
+          border-color: var(--faceit-orange);
+        }
+
         .demo-mode-notice {
           display: flex;
           align-items: center;
@@ -2832,8 +5521,119 @@ export default function FACEITTeamCompare() {
           background: linear-gradient(90deg, var(--team-a), #ff8f8f);
         }
 
-        .glance-fill.team-b {
-          background: linear-gradient(90deg, #7eddd6, var(--team-b));
+        .glance-fill.team-b {
+          background: linear-gradient(90deg, #7eddd6, var(--team-b));
+        }
+
+        .glance-delta {
+          margin-top: 10px;
+          text-align: center;
+          font-family: 'JetBrains Mono', monospace;
+          font-size: 12px;
+          font-weight: 600;
+          color: var(--text-muted);
+        }
+
+        .glance-delta.team-a { color: var(--team-a); }
+        .glance-delta.team-b { color: var(--team-b); }
+
+        /* Head-to-Head Section */
+        .h2h-section {
+          max-width: 1200px;
+          margin: 0 auto;
+        }
+
+        .h2h-section .at-a-glance-section {
+          padding: 32px 0;
+        }
+
+        .h2h-maps {
+          background: var(--bg-card);
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-lg);
+          padding: 24px;
+          box-shadow: var(--shadow-md);
+        }
+
+        .h2h-maps h3 {
+          font-size: 14px;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 1px;
+          color: var(--text-muted);
+          margin-bottom: 16px;
+        }
+
+        .h2h-map-header,
+        .h2h-map-row {
+          display: grid;
+          grid-template-columns: 90px 1fr 1fr 110px 90px 90px;
+          gap: 12px;
+          align-items: center;
+        }
+
+        .h2h-map-header {
+          padding: 0 8px 8px;
+          border-bottom: 1px solid var(--border-subtle);
+          font-size: 11px;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          color: var(--text-muted);
+        }
+
+        .h2h-map-header .team-a { color: var(--team-a); }
+        .h2h-map-header .team-b { color: var(--team-b); }
+
+        .h2h-map-row {
+          padding: 4px 8px;
+          border-bottom: 1px solid var(--border-subtle);
+        }
+
+        .h2h-map-name {
+          font-size: 13px;
+          font-weight: 600;
+          color: var(--text-primary);
+        }
+
+        .map-advantage {
+          font-family: 'JetBrains Mono', monospace;
+          font-size: 12px;
+          font-weight: 700;
+          padding: 4px 8px;
+          border-radius: var(--radius-sm);
+          text-align: center;
+          color: var(--text-muted);
+          background: var(--bg-tertiary);
+        }
+
+        .map-advantage.team-a { background: var(--team-a-dim); color: var(--team-a); }
+        .map-advantage.team-b { background: var(--team-b-dim); color: var(--team-b); }
+        .map-advantage.low-sample { opacity: 0.6; }
+
+        .h2h-veto {
+          font-family: 'JetBrains Mono', monospace;
+          font-size: 12px;
+          color: var(--text-secondary);
+          text-align: center;
+        }
+
+        .h2h-footnote {
+          margin-top: 12px;
+          font-size: 12px;
+          color: var(--text-muted);
+        }
+
+        @media (max-width: 900px) {
+          .h2h-map-header,
+          .h2h-map-row {
+            grid-template-columns: 1fr 1fr;
+          }
+
+          .h2h-map-header span:nth-child(n + 5),
+          .h2h-veto {
+            display: none;
+          }
         }
 
         /* Team Card */
@@ -3044,6 +5844,22 @@ export default function FACEITTeamCompare() {
           gap: 6px;
         }
 
+        .player-name.clickable {
+          cursor: pointer;
+        }
+
+        .player-name.clickable:hover {
+          color: var(--faceit-orange);
+        }
+
+        .player-profile {
+          margin-top: 20px;
+        }
+
+        .player-profile .overview-stats {
+          margin-bottom: 20px;
+        }
+
         .leader-badge {
           color: var(--faceit-orange);
           font-size: 12px;
@@ -3192,6 +6008,49 @@ export default function FACEITTeamCompare() {
           color: var(--text-secondary);
         }
 
+        .pick-results {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 8px;
+          margin-bottom: 16px;
+        }
+
+        .pick-result {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 4px;
+          padding: 10px 8px;
+          background: var(--bg-card);
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-sm);
+        }
+
+        .pick-result-label {
+          font-size: 11px;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+          color: var(--text-muted);
+        }
+
+        .pick-result-value {
+          font-family: 'JetBrains Mono', monospace;
+          font-size: 18px;
+          font-weight: 700;
+          color: var(--text-primary);
+        }
+
+        .pick-result-record {
+          font-family: 'JetBrains Mono', monospace;
+          font-size: 11px;
+          color: var(--text-secondary);
+        }
+
+        .pick-deciders-title {
+          margin-top: 16px;
+        }
+
         .veto-note {
           margin-top: 12px;
           padding: 8px 12px;
@@ -3286,14 +6145,292 @@ export default function FACEITTeamCompare() {
 
 
 
-        /* Map Stats Dashboard */
-        .map-stats-dashboard {
-          background: var(--bg-card);
-          border: 1px solid var(--border-subtle);
-          border-radius: var(--radius-lg);
+        /* Map Stats Dashboard */
+        .map-stats-dashboard {
+          background: var(--bg-card);
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-lg);
+          overflow: hidden;
+        }
+
+        /* Veto Prediction */
+        .veto-prediction {
+          margin-top: 24px;
+          background: var(--bg-card);
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-lg);
+          padding: 24px;
+          box-shadow: var(--shadow-md);
+        }
+
+        .veto-prediction h3 {
+          font-size: 18px;
+          font-weight: 700;
+          color: var(--text-primary);
+        }
+
+        .pool-maps {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          margin-bottom: 20px;
+        }
+
+        .pool-map {
+          font-family: 'Outfit', sans-serif;
+          font-size: 12px;
+          font-weight: 600;
+          padding: 6px 12px;
+          background: var(--bg-tertiary);
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-sm);
+          color: var(--text-muted);
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .pool-map.active {
+          background: var(--faceit-orange-dim);
+          border-color: rgba(255, 85, 0, 0.35);
+          color: var(--faceit-orange);
+        }
+
+        .prediction-summary {
+          display: flex;
+          gap: 12px;
+          margin-bottom: 8px;
+        }
+
+        .prediction-summary .overview-card {
+          flex: 1;
+        }
+
+        .veto-action {
+          font-weight: 700;
+          text-transform: uppercase;
+          font-size: 11px;
+        }
+
+        .veto-action.ban { color: var(--ban); }
+        .veto-action.pick { color: var(--pick); }
+        .veto-action.decider { color: var(--decider); }
+
+        .veto-row .team-indicator {
+          font-size: 11px;
+          padding: 2px 8px;
+        }
+
+        .prediction-maps {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .prediction-map-row {
+          display: grid;
+          grid-template-columns: 80px 1fr 90px;
+          gap: 12px;
+          align-items: center;
+          font-size: 12px;
+        }
+
+        .prediction-bar {
+          display: flex;
+          height: 10px;
+          border-radius: 5px;
+          overflow: hidden;
+          background: var(--bg-tertiary);
+        }
+
+        .prediction-fill.ban { background: var(--ban); opacity: 0.5; }
+        .prediction-fill.team-a { background: var(--team-a); }
+        .prediction-fill.team-b { background: var(--team-b); }
+        .prediction-fill.decider { background: var(--decider); }
+
+        .format-btn:disabled {
+          opacity: 0.4;
+          cursor: not-allowed;
+        }
+
+        /* Veto Simulator */
+        .sim-status {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 12px;
+          padding: 12px 16px;
+          margin-bottom: 16px;
+          background: var(--bg-tertiary);
+          border-radius: var(--radius-sm);
+          font-size: 13px;
+          color: var(--text-secondary);
+        }
+
+        .sim-status strong {
+          color: var(--text-primary);
+        }
+
+        .sim-board {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
+          gap: 10px;
+          margin-bottom: 16px;
+        }
+
+        .sim-map {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          padding: 12px;
+          text-align: left;
+          font-family: 'Outfit', sans-serif;
+          background: var(--bg-tertiary);
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-sm);
+          color: var(--text-primary);
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .sim-map:hover:not(:disabled) {
+          border-color: var(--faceit-orange);
+        }
+
+        .sim-map:disabled {
+          cursor: default;
+        }
+
+        .sim-map.best {
+          border-color: rgba(255, 85, 0, 0.5);
+          box-shadow: 0 0 0 1px var(--faceit-orange-dim);
+        }
+
+        .sim-map.banned {
+          opacity: 0.4;
+        }
+
+        .sim-map.picked.team-a { border-color: var(--team-a); }
+        .sim-map.picked.team-b { border-color: var(--team-b); }
+        .sim-map.decider { border-color: var(--decider); }
+
+        .sim-map-name {
+          font-size: 14px;
+          font-weight: 700;
+        }
+
+        .sim-map-status {
+          font-size: 12px;
+          font-weight: 600;
+          color: var(--faceit-orange);
+          min-height: 16px;
+        }
+
+        .sim-map.banned .sim-map-status { color: var(--ban); }
+        .sim-map.picked .sim-map-status { color: var(--pick); }
+        .sim-map.decider .sim-map-status { color: var(--decider); }
+
+        .sim-map-meta {
+          font-size: 11px;
+          color: var(--text-muted);
+        }
+
+        /* Veto Order */
+        .veto-order-grid {
+          margin-top: 24px;
+        }
+
+        .veto-order-panel {
+          background: var(--bg-card);
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-lg);
+          padding: 24px;
+        }
+
+        .veto-order-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          flex-wrap: wrap;
+          gap: 12px;
+          margin-bottom: 16px;
+        }
+
+        .veto-order-header h3 {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          font-size: 18px;
+          font-weight: 700;
+          color: var(--text-primary);
+        }
+
+        .veto-order-filters {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          flex-wrap: wrap;
+        }
+
+        .veto-slots {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));
+          gap: 12px;
+        }
+
+        .veto-slot {
+          background: var(--bg-secondary);
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-md);
+          padding: 12px;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .veto-slot-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .veto-slot-label {
+          font-size: 12px;
+          font-weight: 700;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+        }
+
+        .veto-slot-label.ban { color: var(--ban); }
+        .veto-slot-label.pick { color: var(--pick); }
+
+        .veto-slot-total {
+          font-size: 11px;
+          color: var(--text-muted);
+        }
+
+        .veto-slot-row {
+          display: grid;
+          grid-template-columns: 70px 1fr auto;
+          gap: 8px;
+          align-items: center;
+          font-size: 12px;
+        }
+
+        .veto-slot-track {
+          height: 6px;
+          background: var(--bg-tertiary);
+          border-radius: 3px;
           overflow: hidden;
         }
 
+        .veto-slot-fill {
+          height: 100%;
+          border-radius: 3px;
+        }
+
+        .veto-slot-fill.ban { background: var(--ban); }
+        .veto-slot-fill.pick { background: var(--pick); }
+
         .map-tabs {
           display: flex;
           gap: 4px;
@@ -3467,6 +6604,19 @@ export default function FACEITTeamCompare() {
           border-radius: var(--radius-sm);
         }
 
+        .map-wr-pair {
+          display: flex;
+          flex-direction: column;
+          padding: 8px 0;
+        }
+
+        .map-wr-name {
+          padding: 0 8px;
+          font-size: 13px;
+          font-weight: 700;
+          color: var(--text-primary);
+        }
+
         .expand-icon {
           position: absolute;
           right: 12px;
@@ -3739,6 +6889,14 @@ export default function FACEITTeamCompare() {
           border-color: var(--faceit-orange);
         }
 
+        .season-note {
+          margin: 12px auto 0;
+          max-width: 560px;
+          font-size: 12px;
+          color: var(--text-secondary);
+          text-align: center;
+        }
+
         .season-select option {
           background: var(--bg-secondary);
           color: var(--text-primary);
@@ -3772,6 +6930,261 @@ export default function FACEITTeamCompare() {
           color: var(--text-muted);
         }
 
+        .empty-actions {
+          display: flex;
+          gap: 8px;
+          margin-top: 20px;
+        }
+
+        .empty-actions .url-submit-btn {
+          padding: 10px 20px;
+        }
+
+        .section-nav button:disabled {
+          opacity: 0.4;
+          cursor: not-allowed;
+        }
+
+        /* League / Browse Explorer */
+        .explorer-panel {
+          background: var(--bg-card);
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-lg);
+          padding: 24px;
+        }
+
+        .explorer-controls {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 12px;
+          margin-bottom: 12px;
+        }
+
+        .explorer-title {
+          font-size: 16px;
+          font-weight: 600;
+        }
+
+        .explorer-tabs {
+          flex-wrap: wrap;
+          border-radius: var(--radius-md);
+          margin-bottom: 16px;
+        }
+
+        .standings-group {
+          margin-bottom: 20px;
+        }
+
+        .standings-table {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+        }
+
+        .standings-header,
+        .standings-row {
+          display: grid;
+          grid-template-columns: 48px 1fr 80px 70px 70px;
+          gap: 8px;
+          padding: 8px 12px;
+          align-items: center;
+          font-size: 13px;
+        }
+
+        .standings-header {
+          font-size: 11px;
+          font-weight: 600;
+          color: var(--text-muted);
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+        }
+
+        .standings-row {
+          background: var(--bg-tertiary);
+          border-radius: var(--radius-sm);
+          cursor: pointer;
+          transition: background 0.2s;
+        }
+
+        .standings-row:hover {
+          background: var(--bg-hover);
+        }
+
+        .standings-row.static {
+          cursor: default;
+        }
+
+        .standings-row.static:hover {
+          background: var(--bg-tertiary);
+        }
+
+        .standings-pos {
+          font-family: 'JetBrains Mono', monospace;
+          color: var(--text-muted);
+        }
+
+        .standings-team {
+          font-weight: 600;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .standings-points {
+          font-family: 'JetBrains Mono', monospace;
+          color: var(--faceit-orange);
+          font-weight: 600;
+        }
+
+        .tournament-filters {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 12px;
+          margin-bottom: 16px;
+          font-size: 12px;
+          color: var(--text-secondary);
+        }
+
+        .tournament-filters label {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .tournament-filters input[type="date"] {
+          font-family: 'Outfit', sans-serif;
+          padding: 6px 8px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border-medium);
+          border-radius: var(--radius-sm);
+          color: var(--text-primary);
+          color-scheme: dark;
+        }
+
+        .checkbox-label {
+          cursor: pointer;
+        }
+
+        .tournament-list {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .tournament-item {
+          background: var(--bg-tertiary);
+          border: 1px solid var(--border-subtle);
+          border-radius: var(--radius-sm);
+        }
+
+        .tournament-item.expanded {
+          border-color: var(--border-medium);
+        }
+
+        .tournament-row {
+          display: grid;
+          grid-template-columns: 20px 1fr 110px 170px 70px 90px 80px;
+          gap: 8px;
+          align-items: center;
+          padding: 10px 12px;
+          font-size: 13px;
+          cursor: pointer;
+        }
+
+        .tournament-row:hover {
+          background: var(--bg-hover);
+        }
+
+        .tournament-name {
+          font-weight: 600;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .tournament-status {
+          font-size: 11px;
+          font-weight: 600;
+          text-transform: uppercase;
+          color: var(--text-muted);
+        }
+
+        .tournament-status.status-join,
+        .tournament-status.status-checking_in {
+          color: var(--win);
+        }
+
+        .tournament-status.status-started {
+          color: var(--decider);
+        }
+
+        .tournament-date,
+        .tournament-slots,
+        .tournament-prize {
+          font-family: 'JetBrains Mono', monospace;
+          font-size: 12px;
+          color: var(--text-secondary);
+        }
+
+        .championship-teams {
+          padding: 12px 16px 16px 40px;
+          border-top: 1px solid var(--border-subtle);
+        }
+
+        .team-chip-list {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+        }
+
+        .team-chip {
+          font-family: 'Outfit', sans-serif;
+          font-size: 12px;
+          padding: 6px 10px;
+          background: var(--bg-secondary);
+          border: 1px solid var(--border-medium);
+          border-radius: var(--radius-sm);
+          color: var(--text-primary);
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .team-chip:hover:not(:disabled) {
+          border-color: var(--faceit-orange);
+          color: var(--faceit-orange);
+        }
+
+        .team-chip.active {
+          border-color: var(--faceit-orange);
+          color: var(--faceit-orange);
+        }
+
+        .explorer-actions {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .hub-leaderboard-row {
+          grid-template-columns: 48px 1fr 80px 70px 70px 60px;
+        }
+
+        .pager {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 12px;
+          margin-top: 12px;
+        }
+
+        .pager-info {
+          font-family: 'JetBrains Mono', monospace;
+          font-size: 12px;
+          color: var(--text-muted);
+        }
+
         /* Header Collapse Styles */
         .header-collapse-btn {
           position: absolute;
@@ -3844,6 +7257,11 @@ export default function FACEITTeamCompare() {
             align-items: center;
           }
 
+          .sim-status {
+            flex-direction: column;
+            align-items: flex-start;
+          }
+
           .stat-grid {
             grid-template-columns: 1fr;
           }
@@ -3912,6 +7330,41 @@ export default function FACEITTeamCompare() {
           height: 12px;
         }
 
+        .cache-controls {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 9px;
+          color: var(--text-muted);
+        }
+
+        .cache-summary {
+          font-family: 'JetBrains Mono', monospace;
+          cursor: default;
+        }
+
+        .cache-clear-btn {
+          padding: 3px 6px;
+          font-size: 9px;
+          font-family: inherit;
+          color: var(--text-secondary);
+          background: var(--bg-tertiary);
+          border: 1px solid var(--border-medium);
+          border-radius: 4px;
+          cursor: pointer;
+          transition: all 0.2s ease;
+        }
+
+        .cache-clear-btn:hover:not(:disabled) {
+          color: var(--text-primary);
+          border-color: var(--faceit-orange);
+        }
+
+        .cache-clear-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
       `}</style>
     </div >
   );
@@ -0,0 +1,754 @@
+/**
+ * Team report pipeline, shared by the app and the team-report Netlify function.
+ *
+ * Turns raw FACEIT Data API payloads into the team model the UI renders:
+ * roster, per-map stats, every map played (allMatches) and veto tendencies.
+ * Plain JavaScript with no browser or React dependencies, so it runs in Node too.
+ */
+
+export const GAME_ID = 'cs2';
+
+// Built-in season calendar, newest first. Matches are assigned to a season by
+// when they were played, so every window needs a start and end date (UTC,
+// inclusive), padded to cover qualifiers and playoffs. Deployments can replace
+// it without a code change (see loadSeasonCalendar).
+export const DEFAULT_SEASONS = [
+  { id: 'S59', name: 'Season 59', start: '2026-10-12', end: '2027-01-10' },
+  { id: 'S58', name: 'Season 58', start: '2026-07-13', end: '2026-10-11' },
+  { id: 'S57', name: 'Season 57', start: '2026-04-13', end: '2026-07-12' },
+  { id: 'S56', name: 'Season 56', start: '2026-01-05', end: '2026-04-12' },
+  { id: 'S55', name: 'Season 55', start: '2025-10-06', end: '2026-01-04' },
+  { id: 'S54', name: 'Season 54', start: '2025-07-07', end: '2025-10-05' },
+  { id: 'S53', name: 'Season 53', start: '2025-04-07', end: '2025-07-06' },
+  { id: 'S52', name: 'Season 52', start: '2025-01-06', end: '2025-04-06' },
+];
+
+// How long the newest season keeps collecting matches past its end date, so
+// the app stays usable while the next season's dates are added
+export const SEASON_GRACE_DAYS = 14;
+
+const CALENDAR_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a season calendar from JSON, an array of { id, name, start, end }.
+// Returns it newest first, or null when it's missing or malformed.
+export const parseSeasonCalendar = (json) => {
+  if (!json) return null;
+  let seasons;
+  try {
+    seasons = JSON.parse(json);
+  } catch {
+    return null;
+  }
+
+  const valid = Array.isArray(seasons) && seasons.length > 0 && seasons.every(season =>
+    typeof season?.id === 'string' && season.id !== '' &&
+    CALENDAR_DATE.test(season.start) && CALENDAR_DATE.test(season.end) && season.start <= season.end
+  );
+  if (!valid) return null;
+
+  return seasons
+    .map(({ id, name, start, end }) => ({ id, name: typeof name === 'string' && name ? name : id, start, end }))
+    .sort((a, b) => b.start.localeCompare(a.start));
+};
+
+// The calendar configured as JSON (the VITE_SEASON_CALENDAR variable, read by
+// both the app and the server), or the built-in one when unset or invalid
+export const loadSeasonCalendar = (json) => {
+  const configured = parseSeasonCalendar(json);
+  if (json && !configured) {
+    console.warn('VITE_SEASON_CALENDAR is not a valid season calendar, using the built-in one');
+  }
+  return configured || DEFAULT_SEASONS;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When the calendar's newest season stops collecting matches, grace period included
+const getCalendarEnd = (seasons) => Date.parse(`${seasons[0].end}T23:59:59Z`) + SEASON_GRACE_DAYS * DAY_MS;
+
+// A season's window in ms, from the start of its first day to the end of its
+// last. The newest season also gets the grace period.
+const getSeasonWindow = (season, seasons) => ({
+  start: Date.parse(`${season.start}T00:00:00Z`),
+  end: season.id === seasons[0].id ? getCalendarEnd(seasons) : Date.parse(`${season.end}T23:59:59Z`),
+});
+
+// Whether a match (unix seconds) was played inside a season's window
+export const isInSeasonWindow = (timestamp, season, seasons) => {
+  if (!timestamp) return false;
+  const { start, end } = getSeasonWindow(season, seasons);
+  return timestamp * 1000 >= start && timestamp * 1000 <= end;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The season a competition name spells out ("ESEA S55 Main", "Season 55
+// Playoffs"). Whole words only, so "S5" never matches inside "S55".
+const getSeasonFromName = (name, seasons) => {
+  if (!name) return null;
+  return seasons.find(season =>
+    new RegExp(`\\b(${escapeRegExp(season.id)}|${escapeRegExp(season.name)})\\b`, 'i').test(name)
+  ) || null;
+};
+
+/**
+ * Whether a match is one of the season's own matches: its competition name
+ * spells out the season, or it was played in the season's window and its name
+ * doesn't spell out a different one. That keeps a previous season's late
+ * playoffs out, which isInSeasonWindow alone would count.
+ */
+export const isSeasonMatch = (match, season, seasons) => {
+  const named = getSeasonFromName(match.championship_name, seasons);
+  return named ? named.id === season.id : isInSeasonWindow(match.timestamp, season, seasons);
+};
+
+// Whether the calendar has run out: today is past its newest season and the
+// grace period, so newer matches fall outside every season
+export const isCalendarOutdated = (seasons) => Date.now() > getCalendarEnd(seasons);
+
+// Combined time window of the given seasons (from `calendar`) as unix seconds.
+// `to` is left undefined while a season is still running, so history requests
+// stay open-ended.
+export const getSeasonSpan = (seasons, calendar) => {
+  const windows = seasons.map(season => getSeasonWindow(season, calendar));
+  const from = Math.floor(Math.min(...windows.map(window => window.start)) / 1000);
+  const end = Math.max(...windows.map(window => window.end));
+
+  return {
+    from,
+    to: end < Date.now() ? Math.floor(end / 1000) : undefined,
+  };
+};
+
+// Player history paging. FACEIT caps a single history page at 100 items.
+export const HISTORY_PAGE_SIZE = 100;
+export const HISTORY_MAX_PAGES = 20;
+
+// Page through a player's history until the `from` window is covered.
+// fetchPage(offset, limit) returns one raw history page. History is newest
+// first, so a short page or a match older than `from` means we've reached
+// the start of the window. Returns the same shape as a single history page.
+export const fetchHistoryWindow = async (fetchPage, { offset = 0, from, to, maxPages = HISTORY_MAX_PAGES, label = 'player' }) => {
+  const items = [];
+  let pageOffset = offset;
+  let complete = false;
+
+  for (let page = 0; page < maxPages; page++) {
+    const data = await fetchPage(pageOffset, HISTORY_PAGE_SIZE);
+    const pageItems = data.items || [];
+    items.push(...pageItems);
+    pageOffset += pageItems.length;
+
+    const oldest = pageItems[pageItems.length - 1];
+    if (pageItems.length < HISTORY_PAGE_SIZE || (oldest?.started_at && oldest.started_at < from)) {
+      complete = true;
+      break;
+    }
+  }
+
+  if (!complete) {
+    console.warn(`History for ${label} truncated after ${maxPages} pages`);
+  }
+
+  return {
+    items: items.filter(item => {
+      const startedAt = item.started_at || item.finished_at;
+      if (!startedAt) return true;
+      return startedAt >= from && (!to || startedAt <= to);
+    }),
+    start: offset,
+    end: pageOffset,
+    from,
+    to,
+    complete,
+  };
+};
+
+// All CS2 Maps (current + legacy) - sorting and greying handles what's played
+export const ALL_MAPS = ['de_dust2', 'de_mirage', 'de_inferno', 'de_nuke', 'de_ancient', 'de_train', 'de_overpass', 'de_anubis', 'de_vertigo'];
+// Active duty pool, the maps league vetoes are played from
+export const ACTIVE_MAP_POOL = ['de_ancient', 'de_anubis', 'de_dust2', 'de_inferno', 'de_mirage', 'de_nuke', 'de_train'];
+
+export const MAP_DISPLAY_NAMES = {
+  'de_dust2': 'Dust2',
+  'de_mirage': 'Mirage',
+  'de_inferno': 'Inferno',
+  'de_nuke': 'Nuke',
+  'de_ancient': 'Ancient',
+  'de_train': 'Train',
+  'de_overpass': 'Overpass',
+  'de_anubis': 'Anubis',
+  'de_vertigo': 'Vertigo',
+};
+
+// Normalize map names from API (handles both "Dust2" and "Dust 2")
+export const normalizeMapName = (name) => {
+  // Handle common variations
+  const normalized = name.replace(/\s+/g, '').toLowerCase();
+
+  // Map normalized names back to our display names
+  const nameMap = {
+    'dust2': 'Dust2',
+    'train': 'Train',
+    'mirage': 'Mirage',
+    'ancient': 'Ancient',
+    'anubis': 'Anubis',
+    'inferno': 'Inferno',
+    'nuke': 'Nuke',
+    'overpass': 'Overpass',
+    'vertigo': 'Vertigo',
+  };
+
+  return nameMap[normalized] || name;
+};
+
+export const toDisplayMapName = (rawName) => {
+  if (!rawName || typeof rawName !== 'string') return null;
+  if (MAP_DISPLAY_NAMES[rawName]) return MAP_DISPLAY_NAMES[rawName];
+
+  const trimmed = rawName.replace(/^de_/, '').replace(/_/g, ' ');
+  const compact = trimmed
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+
+  return normalizeMapName(compact);
+};
+
+const createPickRecord = () => ({ played: 0, wins: 0, wr: 0 });
+
+export const createEmptyVetoStats = () => ({
+  totalMatches: 0,
+  matchesWithVeto: 0,
+  totalVetoes: 0,
+  counts: {},
+  mostVetoed: null,
+  alwaysSame: false,
+  // Maps the team picked (BO3s), and the leftover decider of every veto
+  totalPicks: 0,
+  pickCounts: {},
+  mostPicked: null,
+  totalDeciders: 0,
+  deciderCounts: {},
+  // Results on the team's own picks, the opponent's picks and deciders
+  pickResults: {
+    own: createPickRecord(),
+    opponent: createPickRecord(),
+    decider: createPickRecord(),
+  },
+  // The team's own bans and picks per match, in veto order (see summarizeVetoOrder)
+  sequences: [],
+});
+
+const getMostFrequent = (counts, total) => {
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top
+    ? { map: top[0], count: top[1], pct: total > 0 ? Math.round((top[1] / total) * 100) : 0 }
+    : null;
+};
+
+// Flatten a match's voting payload into { map, type, teamId, teamName, order }
+// actions. `order` is the 1-based position within its pick or ban list, which
+// FACEIT keeps in the order the vetoes were made.
+export const extractVetoesFromVoting = (voting, teamLookup) => {
+  if (!voting) return [];
+
+  const mapVoting = voting.map || voting.maps || voting.veto || voting;
+  const actions = [];
+
+  const pushEntries = (entries, type) => {
+    if (!Array.isArray(entries)) return;
+
+    entries.forEach((entry, index) => {
+      let mapName = null;
+      let teamId = null;
+      let teamName = null;
+
+      if (typeof entry === 'string') {
+        mapName = entry;
+      } else if (entry) {
+        mapName = entry.map || entry.name || entry.entity_id || entry.entity_name || entry.map_name;
+        teamId = entry.team_id || entry.teamId || entry.faction_id;
+        teamName = entry.team_name || entry.teamName || entry.faction_name;
+      }
+
+      if (teamId && !teamName && teamLookup?.[teamId]) {
+        teamName = teamLookup[teamId];
+      }
+
+      if (!mapName) return;
+
+      actions.push({
+        map: mapName,
+        type,
+        teamId,
+        teamName,
+        order: index + 1,
+      });
+    });
+  };
+
+  pushEntries(mapVoting.pick || mapVoting.picks || mapVoting.picked, 'pick');
+  pushEntries(mapVoting.drop || mapVoting.drops || mapVoting.ban || mapVoting.bans || mapVoting.veto || mapVoting.vetoes, 'ban');
+
+  if (Array.isArray(mapVoting)) {
+    pushEntries(mapVoting, 'ban');
+  }
+
+  if (Array.isArray(mapVoting?.votes)) {
+    pushEntries(mapVoting.votes, mapVoting.vote_type || 'ban');
+  }
+
+  return actions;
+};
+
+// Veto and pick tendencies for a team over its map entries (see transformMatch).
+// A pick without a team is the decider; payloads that only list picks
+// attribute none of them, so only their last pick (the decider) is used.
+export const computeVetoStats = (matches, teamId, teamName) => {
+  if (!Array.isArray(matches) || matches.length === 0) {
+    return createEmptyVetoStats();
+  }
+
+  // Every map entry of a match carries the same vetoes, so group by match
+  const mapsByMatch = new Map();
+  matches.forEach((match) => {
+    const key = match.originalMatchId || match.matchId;
+    if (!mapsByMatch.has(key)) {
+      mapsByMatch.set(key, []);
+    }
+    mapsByMatch.get(key).push(match);
+  });
+
+  const stats = createEmptyVetoStats();
+  stats.totalMatches = mapsByMatch.size;
+
+  const isSameTeam = (veto) => {
+    if (veto.teamId && teamId && veto.teamId.toString() === teamId.toString()) return true;
+    if (veto.teamName && teamName && veto.teamName.toLowerCase() === teamName.toLowerCase()) return true;
+    return false;
+  };
+
+  // Count the result of a picked map, if it was played (BO3s can end before the decider)
+  const recordResult = (record, mapEntries, mapName) => {
+    const played = mapEntries.find(entry => toDisplayMapName(entry.map) === mapName);
+    if (!played) return;
+    record.played += 1;
+    if (played.result === 'W') record.wins += 1;
+  };
+
+  mapsByMatch.forEach((mapEntries, matchId) => {
+    const vetoes = Array.isArray(mapEntries[0].vetoes) ? mapEntries[0].vetoes : [];
+    if (vetoes.length > 0) {
+      stats.matchesWithVeto += 1;
+    }
+
+    const picks = vetoes.filter(veto => veto && veto.type === 'pick');
+    const decider = picks.length > 0 && !picks[picks.length - 1].teamId && !picks[picks.length - 1].teamName
+      ? picks[picks.length - 1]
+      : null;
+
+    vetoes.forEach((veto) => {
+      if (!veto) return;
+      const mapName = toDisplayMapName(veto.map);
+      if (!mapName) return;
+
+      if (veto.type === 'pick') {
+        if (veto === decider) {
+          stats.deciderCounts[mapName] = (stats.deciderCounts[mapName] || 0) + 1;
+          stats.totalDeciders += 1;
+          recordResult(stats.pickResults.decider, mapEntries, mapName);
+        } else if (isSameTeam(veto)) {
+          stats.pickCounts[mapName] = (stats.pickCounts[mapName] || 0) + 1;
+          stats.totalPicks += 1;
+          recordResult(stats.pickResults.own, mapEntries, mapName);
+        } else if (veto.teamId || veto.teamName) {
+          recordResult(stats.pickResults.opponent, mapEntries, mapName);
+        }
+        return;
+      }
+
+      if (!isSameTeam(veto)) return;
+      if (veto.type && veto.type !== 'ban' && veto.type !== 'veto' && veto.type !== 'drop') return;
+
+      stats.counts[mapName] = (stats.counts[mapName] || 0) + 1;
+      stats.totalVetoes += 1;
+    });
+
+    // Older entries have no `order`; their arrays are already in veto order
+    const ownInOrder = (isType) => vetoes
+      .map((veto, index) => ({ veto, position: veto?.order ?? index + 1 }))
+      .filter(({ veto }) => veto && veto !== decider && isType(veto.type) && isSameTeam(veto))
+      .sort((a, b) => a.position - b.position)
+      .map(({ veto }) => toDisplayMapName(veto.map))
+      .filter(Boolean);
+    const ownBans = ownInOrder(type => !type || type === 'ban' || type === 'veto' || type === 'drop');
+    const ownPicks = ownInOrder(type => type === 'pick');
+
+    if (ownBans.length > 0 || ownPicks.length > 0) {
+      stats.sequences.push({
+        matchId,
+        opponent: mapEntries[0].opponent,
+        format: mapEntries[0].isBO3Map ? 'BO3' : 'BO1',
+        date: mapEntries[0].date,
+        bans: ownBans,
+        picks: ownPicks,
+        decider: decider ? toDisplayMapName(decider.map) : null,
+      });
+    }
+  });
+
+  Object.values(stats.pickResults).forEach((record) => {
+    record.wr = record.played > 0 ? Math.round((record.wins / record.played) * 100) : 0;
+  });
+
+  stats.mostVetoed = getMostFrequent(stats.counts, stats.totalVetoes);
+  stats.alwaysSame = Boolean(stats.mostVetoed && stats.mostVetoed.count === stats.totalVetoes);
+  stats.mostPicked = getMostFrequent(stats.pickCounts, stats.totalPicks);
+
+  return stats;
+};
+
+/**
+ * Which maps a team chooses at each step of the veto: its first, second, third
+ * ban and so on, and likewise for picks. `format` ('BO1' or 'BO3') and
+ * `opponent` narrow the sequences from computeVetoStats down first.
+ * Returns { matches, banSlots, pickSlots }, each slot being
+ * { slot, total, maps: [{ map, count, pct }] } with the most chosen map first.
+ */
+export const summarizeVetoOrder = (sequences = [], { format = null, opponent = null } = {}) => {
+  const selected = sequences.filter(sequence =>
+    (!format || sequence.format === format) && (!opponent || sequence.opponent === opponent)
+  );
+
+  const bySlot = (key) => {
+    const slots = [];
+    selected.forEach((sequence) => {
+      sequence[key].forEach((map, index) => {
+        if (!slots[index]) slots[index] = {};
+        slots[index][map] = (slots[index][map] || 0) + 1;
+      });
+    });
+    return slots.map((counts, index) => {
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      return {
+        slot: index + 1,
+        total,
+        maps: Object.entries(counts)
+          .sort((a, b) => b[1] - a[1])
+          .map(([map, count]) => ({ map, count, pct: Math.round((count / total) * 100) })),
+      };
+    });
+  };
+
+  return {
+    matches: selected.length,
+    banSlots: bySlot('bans'),
+    pickSlots: bySlot('picks'),
+  };
+};
+
+export const getTeamPlayerIdsFromMatchStats = (matchStats, teamId, teamName) => {
+  if (!matchStats || !Array.isArray(matchStats.rounds)) {
+    return [];
+  }
+
+  const roundWithTeams = matchStats.rounds.find(round => Array.isArray(round.teams) && round.teams.length > 0);
+  if (!roundWithTeams) {
+    return [];
+  }
+
+  const matchingTeam = roundWithTeams.teams.find(team => {
+    if (!team) return false;
+    if (team.team_id && teamId && team.team_id.toString() === teamId.toString()) return true;
+    if (team.team_stats?.['Team'] && team.team_stats['Team'] === teamName) return true;
+    return false;
+  });
+
+  if (!matchingTeam || !Array.isArray(matchingTeam.players)) {
+    return [];
+  }
+
+  return matchingTeam.players
+    .map(player => player.player_id || player.playerId)
+    .filter(Boolean);
+};
+
+// Whether a player history item was played by the given team. History items
+// carry both factions, which lets us skip pugs before fetching match details.
+// Items without faction info are kept and checked later against the match itself.
+export const isTeamHistoryMatch = (historyItem, teamDetails) => {
+  const factions = Object.values(historyItem?.teams || {});
+  if (factions.length === 0) return true;
+
+  return factions.some(faction =>
+    (faction.team_id && faction.team_id === teamDetails.team_id) ||
+    (faction.nickname && faction.nickname === teamDetails.name)
+  );
+};
+
+// Transform FACEIT API data to our app format
+export const transformTeamData = (teamDetails, teamStats, memberStats) => {
+  const lifetime = teamStats?.lifetime || {};
+  const segments = teamStats?.segments || [];
+
+  // Extract map stats from segments
+  const mapStats = {};
+  segments.forEach(segment => {
+    if (segment.type === 'Map' && segment.mode === '5v5') {
+      const mapName = normalizeMapName(segment.label);
+      const stats = segment.stats || {};
+      const wins = parseInt(stats['Wins'] || 0);
+      const matches = parseInt(stats['Matches'] || 0);
+      const losses = matches - wins;
+
+      mapStats[mapName] = {
+        wr: parseInt(stats['Win Rate %'] || 0),
+        played: matches,
+        wins: wins,
+        losses: losses,
+        rounds: parseInt(stats['Rounds'] || 0),
+        avgRounds: matches > 0 ? (parseInt(stats['Rounds'] || 0) / matches).toFixed(1) : '0.0',
+        matches: [], // Will be populated with match details
+      };
+    }
+  });
+
+  // Calculate roster stats
+  const roster = (teamDetails.members || []).map((member, idx) => {
+    const playerStats = memberStats[member.user_id] || {};
+    const playerLifetime = playerStats.lifetime || {};
+
+    return {
+      id: member.user_id,
+      name: member.nickname,
+      country: member.country,
+      skillLevel: member.skill_level || 0,
+      role: idx === 0 ? 'Leader' : 'Member',
+      rating: parseFloat(playerLifetime['Average K/D Ratio'] || 1.0),
+      hs: parseInt(playerLifetime['Average Headshots %'] || 0),
+      kpr: parseFloat(playerLifetime['Average K/R Ratio'] || 0.7),
+      wins: parseInt(playerLifetime['Wins'] || 0),
+      matches: parseInt(playerLifetime['Matches'] || 0),
+      winRate: parseInt(playerLifetime['Win Rate %'] || 50),
+    };
+  });
+
+  return {
+    id: teamDetails.team_id,
+    name: teamDetails.name,
+    tag: teamDetails.nickname,
+    avatar: teamDetails.avatar,
+    game: teamDetails.game,
+    leader: teamDetails.leader,
+    record: {
+      wins: parseInt(lifetime['Wins'] || 0),
+      losses: parseInt(lifetime['Matches'] || 0) - parseInt(lifetime['Wins'] || 0),
+      matches: parseInt(lifetime['Matches'] || 0),
+      winRate: parseInt(lifetime['Win Rate %'] || 50),
+    },
+    roster,
+    mapStats,
+    recentMatches: [], // Populated separately from match history
+    vetoStats: createEmptyVetoStats(),
+  };
+};
+
+// Turn one match (details + stats) into map entries from the team's side, one
+// per map played. Returns null when the team didn't play in it (e.g. a pug).
+export const transformMatch = (matchId, matchData, matchStats, teamDetails) => {
+  // Extract team info from getMatch response
+  const teams = matchData.teams || {};
+  const faction1 = teams.faction1 || Object.values(teams)[0];
+  const faction2 = teams.faction2 || Object.values(teams)[1];
+
+  if (!faction1 || !faction2) {
+    return null; // Skip if no teams found
+  }
+
+  const teamLookup = {};
+  if (faction1.team_id) {
+    teamLookup[faction1.team_id] = faction1.name;
+  }
+  if (faction2.team_id) {
+    teamLookup[faction2.team_id] = faction2.name;
+  }
+
+  const vetoes = extractVetoesFromVoting(matchData.voting, teamLookup);
+
+  // Find which faction is our team based on team name
+  let opponentFaction = null;
+
+  if (faction1.name === teamDetails.name) {
+    opponentFaction = faction2;
+  } else if (faction2.name === teamDetails.name) {
+    opponentFaction = faction1;
+  } else {
+    // Team name doesn't match - this is a pug or individual match, skip it
+    return null;
+  }
+
+  // Use matchStats to get actual round data
+  const opponent = opponentFaction.name || 'Unknown';
+  const matchTimestamp = matchData.started_at || matchData.finished_at || Date.now() / 1000;
+  const championship_name = matchData.competition_name || '';
+  const teamPlayerIds = getTeamPlayerIdsFromMatchStats(
+    matchStats,
+    teamDetails.team_id,
+    teamDetails.name
+  );
+
+  // matchStats.rounds contains the actual map data with round scores
+  const rounds = matchStats.rounds || [];
+
+  if (rounds.length === 0) {
+    console.warn(`No rounds data for match ${matchId}`);
+    return null;
+  }
+
+  // Process each round (map) in the match
+  return rounds.map((round, roundIndex) => {
+    const roundStats = round.round_stats || {};
+    const teams = round.teams || [];
+
+    // Find our team and opponent in this round
+    const playerTeam = teams.find(t => t.team_id === teamDetails.team_id);
+    const opponentTeam = teams.find(t => t.team_id !== teamDetails.team_id);
+
+    if (!playerTeam || !opponentTeam) {
+      console.warn(`Could not find teams in round ${roundIndex} of match ${matchId}`);
+      return null;
+    }
+
+    // Get actual round scores (e.g., 13-7, not 1-0)
+    const playerScore = parseInt(playerTeam.team_stats?.['Final Score']) || 0;
+    const opponentScore = parseInt(opponentTeam.team_stats?.['Final Score']) || 0;
+    const result = playerScore > opponentScore ? 'W' : 'L';
+
+    // Get map name from round_stats
+    const rawMap = roundStats.Map ||
+      roundStats.map ||
+      'Unknown';
+
+    return {
+      matchId: rounds.length > 1 ? `${matchId}-map${roundIndex}` : matchId,
+      originalMatchId: matchId,
+      map: rawMap,
+      result,
+      score: `${playerScore}-${opponentScore}`,
+      date: new Date(matchTimestamp * 1000).toLocaleDateString(),
+      timestamp: matchTimestamp,
+      opponent,
+      championship_name,
+      isBO3Map: rounds.length > 1,
+      mapNumber: roundIndex + 1,
+      playerIds: teamPlayerIds,
+      vetoes,
+    };
+  }).filter(map => map !== null && map.map !== 'Unknown');
+};
+
+/**
+ * Build the full team model for a team id.
+ *
+ * `api` is anything with the createFaceitAPI methods used below: getTeam,
+ * getTeamStats, getPlayer, getPlayerStats, getPlayerHistory and
+ * getMatchesWithStats. Match history is fetched for the window `from`-`to`
+ * (unix seconds, `to` open-ended when omitted), or else the newest season of
+ * the `seasons` calendar.
+ * Resolves to { team, loadStats }, where loadStats counts how many matches
+ * loaded, were missing (404), failed otherwise or were skipped because `signal`
+ * aborted first, how many member histories
+ * hit HISTORY_MAX_PAGES before reaching `from` (`truncatedHistories`), plus the
+ * proxy rate limit (`rateLimit`) if that's what stopped some of them. Callers
+ * should check their signal afterwards; an aborted load resolves with partial data.
+ */
+export const buildTeamReport = async (api, teamId, { signal, from, to, seasons } = {}) => {
+  const teamDetails = await api.getTeam(teamId, { signal });
+  const teamStats = await api.getTeamStats(teamId, { signal });
+
+  // Fetch stats for all team members
+  const memberStatsPromises = teamDetails.members.map(member =>
+    api.getPlayerStats(member.user_id, { signal }).catch(() => ({}))
+  );
+
+  // Fetch player details for all team members (to get skill level/ELO)
+  const memberDetailsPromises = teamDetails.members.map(member =>
+    api.getPlayer(member.user_id, { signal }).catch(() => ({}))
+  );
+
+  const [memberStatsArray, memberDetailsArray] = await Promise.all([
+    Promise.all(memberStatsPromises),
+    Promise.all(memberDetailsPromises)
+  ]);
+
+  const memberStats = {};
+  teamDetails.members.forEach((member, idx) => {
+    memberStats[member.user_id] = memberStatsArray[idx];
+
+    // Merge detailed player info (skill level, elo) into the member object
+    const details = memberDetailsArray[idx];
+    if (details && details.games && details.games[GAME_ID]) {
+      member.skill_level = details.games[GAME_ID].skill_level;
+      member.faceit_elo = details.games[GAME_ID].faceit_elo;
+    }
+  });
+
+  const team = transformTeamData(teamDetails, teamStats, memberStats);
+  const loadStats = { total: 0, success: 0, error404: 0, otherError: 0, skipped: 0, filtered: 0, truncatedHistories: 0 };
+
+  // Fetch match history from ALL team members to get comprehensive match data
+  try {
+    // Fetch each member's full history for the window, so pug-heavy players
+    // don't push league matches out of a fixed-size page
+    const historyWindow = from ? { from, to } : getSeasonSpan([seasons[0]], seasons);
+    const memberHistories = await Promise.all(teamDetails.members.map(async (member) => {
+      try {
+        const matchHistory = await api.getPlayerHistory(member.user_id, { ...historyWindow, signal });
+        if (matchHistory.complete === false) loadStats.truncatedHistories++;
+        return (matchHistory.items || []).filter(match => isTeamHistoryMatch(match, teamDetails));
+      } catch (err) {
+        if (!signal?.aborted) console.warn(`Failed to fetch history for member ${member.user_id}:`, err);
+        return [];
+      }
+    }));
+
+    // Combine and deduplicate matches from all members (the season filter sorts them out later)
+    const matchIds = [...new Set(memberHistories.flat().map(match => match.match_id))];
+    loadStats.total = matchIds.length;
+
+    // Fetch match overview and detailed stats for every unique match in as few
+    // round trips as possible
+    const matchResults = await api.getMatchesWithStats(matchIds, { signal });
+
+    // Flatten results since BO3 matches return arrays, filter out nulls
+    const allMatches = matchResults.map(({ matchId, match, stats, error }) => {
+      if (error) {
+        // Track error types
+        if (signal?.aborted) {
+          loadStats.skipped++;
+        } else if (error.status === 404) {
+          loadStats.error404++;
+        } else {
+          loadStats.otherError++;
+          if (error.rateLimit) loadStats.rateLimit = error.rateLimit;
+          console.warn('Error processing match:', matchId, error);
+        }
+        return null;
+      }
+
+      loadStats.success++;
+      const maps = transformMatch(matchId, match, stats, teamDetails);
+      if (!maps) loadStats.filtered++;
+      return maps;
+    }).filter(m => m !== null).flat();
+
+    // Store ALL matches (unfiltered) for season filtering
+    team.allMatches = allMatches;
+    team.vetoStats = computeVetoStats(allMatches, team.id, team.name);
+  } catch (err) {
+    if (!signal?.aborted) console.warn('Failed to fetch match history:', err);
+  }
+
+  return { team, loadStats };
+};
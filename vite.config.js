@@ -1,5 +1,19 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createApiHandler, loadConfig, toNodeMiddleware } from './server/handler.js'
+
+// Serve /api from the same handler the Netlify function and `npm start` use,
+// so the dev and preview servers behave exactly like production
+const faceitApi = (config) => {
+  const mount = (server) => {
+    server.middlewares.use('/api', toNodeMiddleware(createApiHandler(config)));
+  };
+  return {
+    name: 'faceit-api',
+    configureServer: mount,
+    configurePreviewServer: mount,
+  };
+};
 
 // https://vitejs.dev/config/
 export default defineConfig(({ command, mode }) => {
@@ -8,30 +22,22 @@ export default defineConfig(({ command, mode }) => {
   // Netlify: VITE_BASE_PATH='/' (default)
   const base = process.env.VITE_BASE_PATH || '/';
 
+  // Proxy settings (FACEIT_API_KEY, RATE_LIMIT_*, ...) come from the environment
+  // and .env files. They have no VITE_ prefix, so they never reach the client bundle.
+  const env = loadEnv(mode, process.cwd(), '');
+
+  // `vite --mode mock` points the proxy at the local mock API (npm run mock:api) instead of FACEIT
+  if (mode === 'mock') {
+    env.FACEIT_API_BASE = env.MOCK_API_URL || 'http://localhost:4010/data/v4';
+  }
+
   return {
-    plugins: [react()],
+    plugins: [react(), faceitApi(loadConfig(env))],
     base: base,
     build: {
       outDir: 'dist',
       assetsDir: 'assets',
       sourcemap: false,
     },
-    server: {
-      proxy: {
-        '/api': {
-          target: 'https://open.faceit.com/data/v4',
-          changeOrigin: true,
-          rewrite: (path) => path.replace(/^\/api/, ''),
-          configure: (proxy, options) => {
-            proxy.on('proxyReq', (proxyReq, req, res) => {
-              // Forward authorization header from original request
-              if (req.headers.authorization) {
-                proxyReq.setHeader('Authorization', req.headers.authorization);
-              }
-            });
-          }
-        }
-      }
-    }
   }
 })